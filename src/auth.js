@@ -3,10 +3,29 @@ export const CLIENT_ID = import.meta.env.VITE_CLIENT_ID || "";
 
 const OAUTH_SCOPES = [
   'https://www.googleapis.com/auth/spreadsheets.readonly',
-  'https://www.googleapis.com/auth/userinfo.profile'
+  'https://www.googleapis.com/auth/userinfo.profile',
+  'https://www.googleapis.com/auth/userinfo.email' // Names the account in the header and in access errors
 ].join(' ');
 
+// Auth states: signed-out -> signing-in -> signed-in -> (expired -> signing-in ...)
+export const AUTH_STATES = {
+  SIGNED_OUT: 'signed-out',
+  SIGNING_IN: 'signing-in',
+  SIGNED_IN: 'signed-in',
+  EXPIRED: 'expired',
+};
+
+const SESSION_KEY = 'kasatria.session'; // sessionStorage: survives reloads, not the closed tab
+const REFRESH_MARGIN = 5 * 60 * 1000; // Refresh silently this long (ms) before the token expires
+const MIN_TOKEN_LIFETIME = 60 * 1000; // Stored tokens closer than this (ms) to expiry are not reused
+
 let tokenClient = null;
+let authState = AUTH_STATES.SIGNED_OUT;
+let session = null; // { accessToken, expiresAt }
+let pendingRequest = null; // 'interactive', 'silent' or 'switch' while a token request is open
+let refreshTimer = null;
+let expiryTimer = null;
+let tokenDelivered = false; // googleTokenReceived fired since page load (or the last sign-out)
 
 /**
  * Initialize Google Sign-In
@@ -17,6 +36,14 @@ export function initializeGoogleSignIn() {
   // Create button immediately so it's visible
   createSignInButton();
 
+  // A token from earlier in this tab session skips the sign-in popup entirely
+  restoreSession();
+
+  // Timers are throttled in background tabs; catch up when the tab is shown again
+  document.addEventListener('visibilitychange', () => {
+    if (!document.hidden && session && authState === AUTH_STATES.SIGNED_IN) scheduleRefresh();
+  });
+
   // Initialize token client if Google is available
   if (typeof window.google !== 'undefined') {
     initTokenClient();
@@ -48,34 +75,285 @@ function initTokenClient() {
       client_id: CLIENT_ID,
       scope: OAUTH_SCOPES,
       callback: handleTokenResponse,
+      error_callback: handleTokenError,
     });
     console.log('Google token client initialized');
+
+    // A session that expired while the page was closed gets one silent attempt
+    if (authState === AUTH_STATES.EXPIRED) refreshToken();
   } catch (error) {
     console.error('Error initializing token client:', error);
   }
 }
 
+/**
+ * Get the current auth state
+ * @returns {string} One of AUTH_STATES
+ */
+export function getAuthState() {
+  return authState;
+}
+
+/**
+ * Get a usable access token
+ * @returns {string|null} Token, or null when signed out or expired
+ */
+export function getAccessToken() {
+  if (!session || session.expiresAt <= Date.now()) return null;
+  return session.accessToken;
+}
+
+/**
+ * Open the Google sign-in flow (also used to reconnect after the session expired)
+ * Must run from a user gesture so the popup is allowed
+ */
+export function signIn() {
+  if (!tokenClient) {
+    // Try to initialize token client if not already done
+    if (typeof window.google !== 'undefined') {
+      initTokenClient();
+    } else {
+      alert('Google Sign-In is still loading. Please wait a moment and try again.');
+      return;
+    }
+  }
+
+  if (!tokenClient) {
+    alert('Unable to initialize Google Sign-In. Please refresh the page.');
+    return;
+  }
+
+  try {
+    // An empty prompt only asks for consent the first time (or when scopes changed)
+    pendingRequest = 'interactive';
+    setAuthState(AUTH_STATES.SIGNING_IN);
+    tokenClient.requestAccessToken({ prompt: '' });
+  } catch (error) {
+    console.error('Error requesting access token:', error);
+    pendingRequest = null;
+    setAuthState(session ? AUTH_STATES.EXPIRED : AUTH_STATES.SIGNED_OUT);
+    alert('An error occurred while signing in. Please try again.');
+  }
+}
+
+/**
+ * Let the user pick another Google account; the app reloads its data with the new token
+ * Must run from a user gesture so the popup is allowed
+ */
+export function switchAccount() {
+  if (!tokenClient) {
+    alert('Google Sign-In is still loading. Please wait a moment and try again.');
+    return;
+  }
+
+  try {
+    pendingRequest = 'switch';
+    tokenClient.requestAccessToken({ prompt: 'select_account' });
+  } catch (error) {
+    console.error('Error switching account:', error);
+    pendingRequest = null;
+    alert('An error occurred while switching accounts. Please try again.');
+  }
+}
+
+/**
+ * Sign out: revoke the token with Google, forget the session and tell the app to tear down
+ */
+export function signOut() {
+  const token = session?.accessToken;
+  clearSession();
+  tokenDelivered = false;
+  setAuthState(AUTH_STATES.SIGNED_OUT);
+
+  if (token && typeof window.google !== 'undefined') {
+    window.google.accounts.oauth2.revoke(token, response => {
+      if (response && response.error) console.warn('Token revocation failed:', response.error);
+    });
+  }
+
+  window.dispatchEvent(new CustomEvent('googleSignedOut'));
+}
+
+/**
+ * Ask Google for a new token without showing any UI (works while the Google session is alive)
+ */
+function refreshToken() {
+  if (!tokenClient || pendingRequest) return;
+
+  try {
+    pendingRequest = 'silent';
+    tokenClient.requestAccessToken({ prompt: 'none' });
+  } catch (error) {
+    console.warn('Silent token refresh failed:', error);
+    pendingRequest = null;
+    markExpired();
+  }
+}
+
 /**
  * Handle OAuth token response
  * @param {Object} tokenResponse - Response from Google OAuth
  */
 function handleTokenResponse(tokenResponse) {
+  const request = pendingRequest;
+  pendingRequest = null;
+
   if (tokenResponse.error) {
     console.error('Token error:', tokenResponse.error);
+
+    // A failed silent refresh is not the user's doing - just ask them to reconnect
+    if (request === 'silent') {
+      markExpired();
+      return;
+    }
+
+    // Cancelling the account picker keeps the current account
+    if (request === 'switch') return;
+
+    setAuthState(session ? AUTH_STATES.EXPIRED : AUTH_STATES.SIGNED_OUT);
     const errorMessage = tokenResponse.error === 'popup_closed_by_user' 
       ? 'Sign-in was cancelled. Please try again.'
       : `Sign-in failed: ${tokenResponse.error}`;
     alert(errorMessage);
     return;
   }
-  
-  // Dispatch event with access token
-  const event = new CustomEvent('googleTokenReceived', {
-    detail: {
-      accessToken: tokenResponse.access_token,
-    }
+
+  saveSession({
+    accessToken: tokenResponse.access_token,
+    expiresAt: Date.now() + Number(tokenResponse.expires_in || 3600) * 1000,
   });
-  window.dispatchEvent(event);
+  setAuthState(AUTH_STATES.SIGNED_IN);
+
+  // The app reloads for the newly chosen account (the old token simply expires - revoking
+  // it would also revoke the new one when the same account was picked again)
+  if (request === 'switch' && tokenDelivered) {
+    window.dispatchEvent(new CustomEvent('googleAccountSwitched', {
+      detail: { accessToken: tokenResponse.access_token },
+    }));
+    return;
+  }
+
+  // Refreshed tokens are picked up through getAccessToken; the first token loads data, and so
+  // does signing in from the login screen again (e.g. after a failed first load)
+  if (!tokenDelivered || request === 'interactive') {
+    tokenDelivered = true;
+    const event = new CustomEvent('googleTokenReceived', {
+      detail: {
+        accessToken: tokenResponse.access_token,
+      }
+    });
+    window.dispatchEvent(event);
+  }
+}
+
+/**
+ * Handle token client errors that never reach the OAuth callback (popup blocked or closed)
+ * @param {Object} error - { type, message }
+ */
+function handleTokenError(error) {
+  const request = pendingRequest;
+  pendingRequest = null;
+  console.warn('Token request failed:', error.type || error);
+
+  if (request === 'silent') {
+    markExpired();
+    return;
+  }
+
+  if (request !== 'switch') setAuthState(session ? AUTH_STATES.EXPIRED : AUTH_STATES.SIGNED_OUT);
+  if (error.type === 'popup_failed_to_open') {
+    alert('The Google sign-in popup was blocked. Please allow popups for this site and try again.');
+  }
+}
+
+/**
+ * Restore a stored session: signed in if the token is still good, expired otherwise
+ */
+function restoreSession() {
+  if (session) return;
+
+  let stored = null;
+  try {
+    stored = JSON.parse(sessionStorage.getItem(SESSION_KEY) || 'null');
+  } catch (error) {
+    console.warn('Ignoring stored session:', error);
+  }
+  if (!stored || !stored.accessToken || !Number.isFinite(stored.expiresAt)) return;
+
+  session = stored;
+  if (stored.expiresAt - Date.now() < MIN_TOKEN_LIFETIME) {
+    setAuthState(AUTH_STATES.EXPIRED); // Refreshed silently once the token client is ready
+    return;
+  }
+
+  scheduleRefresh();
+  setAuthState(AUTH_STATES.SIGNED_IN);
+  tokenDelivered = true;
+  window.dispatchEvent(new CustomEvent('googleTokenReceived', {
+    detail: { accessToken: stored.accessToken, restored: true },
+  }));
+}
+
+/**
+ * Store a session and schedule its refresh
+ * @param {Object} next - { accessToken, expiresAt }
+ */
+function saveSession(next) {
+  session = next;
+  try {
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  } catch (error) {
+    console.warn('Could not store session:', error);
+  }
+  scheduleRefresh();
+}
+
+/**
+ * Forget the session and stop its timers
+ */
+function clearSession() {
+  session = null;
+  pendingRequest = null;
+  clearTimeout(refreshTimer);
+  clearTimeout(expiryTimer);
+  try {
+    sessionStorage.removeItem(SESSION_KEY);
+  } catch (error) {
+    console.warn('Could not clear session:', error);
+  }
+}
+
+/**
+ * Refresh shortly before expiry, and mark the session expired if that did not work
+ */
+function scheduleRefresh() {
+  clearTimeout(refreshTimer);
+  clearTimeout(expiryTimer);
+  if (!session) return;
+
+  const remaining = session.expiresAt - Date.now();
+  refreshTimer = setTimeout(refreshToken, Math.max(0, remaining - REFRESH_MARGIN));
+  expiryTimer = setTimeout(markExpired, Math.max(0, remaining));
+}
+
+/**
+ * Move to the expired state once the token has run out (keeps the scene; the user can reconnect)
+ */
+function markExpired() {
+  if (!session || authState === AUTH_STATES.EXPIRED) return;
+  if (session.expiresAt > Date.now()) return; // Still valid - the expiry timer calls back at the deadline
+
+  setAuthState(AUTH_STATES.EXPIRED);
+}
+
+/**
+ * Change state and notify listeners
+ * @param {string} next - One of AUTH_STATES
+ */
+function setAuthState(next) {
+  if (next === authState) return;
+  authState = next;
+  window.dispatchEvent(new CustomEvent('authStateChanged', { detail: { state: next } }));
 }
 
 /**
@@ -110,36 +388,8 @@ function createSignInButton() {
     <span>Sign in with Google</span>
   `;
   
-  button.addEventListener('click', handleButtonClick);
+  button.addEventListener('click', signIn);
   
   buttonContainer.appendChild(button);
   console.log('Sign-in button created');
 }
-
-/**
- * Handle button click - request access token
- */
-function handleButtonClick() {
-  if (!tokenClient) {
-    // Try to initialize token client if not already done
-    if (typeof window.google !== 'undefined') {
-      initTokenClient();
-    } else {
-      alert('Google Sign-In is still loading. Please wait a moment and try again.');
-      return;
-    }
-  }
-
-  if (!tokenClient) {
-    alert('Unable to initialize Google Sign-In. Please refresh the page.');
-    return;
-  }
-
-  try {
-    tokenClient.requestAccessToken({ prompt: 'consent' });
-  } catch (error) {
-    console.error('Error requesting access token:', error);
-    alert('An error occurred while signing in. Please try again.');
-  }
-}
-
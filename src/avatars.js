@@ -0,0 +1,260 @@
+// Avatars - share-link rewriting, prioritized lazy loading (nearest tiles first), decoded image cache and generated fallbacks
+import * as THREE from 'three';
+import { getCamera } from './scene.js';
+import { getInitials } from './formats.js';
+
+const MAX_CONCURRENT_LOADS = 6;
+const LOAD_TIMEOUT = 15000; // milliseconds; a hung request counts as failed and frees its slot
+const DRIVE_THUMBNAIL_SIZE = 'w400';
+const OFFSCREEN_PENALTY = 1e12; // Tiles outside the view load after every visible one
+
+const imageCache = new Map(); // url -> { status: 'loading'|'loaded'|'failed', promise, image }
+const generatedAvatars = new Map(); // name -> data URI
+const pendingTiles = new Map(); // tile (CSS3DObject) -> url
+let activeLoads = 0;
+let pumpScheduled = false;
+
+/**
+ * Rewrite share links into direct image URLs
+ * Google Drive (file/d/<id>/view, open?id=, uc?id=) -> thumbnail endpoint; Dropbox (?dl=0) -> raw=1
+ * @param {string} url - URL as pasted into the sheet
+ * @returns {string} URL an <img> can load ('' when empty)
+ */
+export function normalizeImageUrl(url) {
+  const text = String(url || '').trim();
+  if (!text) return '';
+
+  let parsed;
+  try {
+    parsed = new URL(text, window.location.href);
+  } catch (error) {
+    return text;
+  }
+
+  if (/(^|\.)(drive|docs)\.google\.com$/.test(parsed.hostname)) {
+    const id = parsed.pathname.match(/\/(?:file\/)?d\/([\w-]+)/)?.[1] || parsed.searchParams.get('id');
+    if (id) return `https://drive.google.com/thumbnail?id=${encodeURIComponent(id)}&sz=${DRIVE_THUMBNAIL_SIZE}`;
+  }
+
+  if (/(^|\.)dropbox\.com$/.test(parsed.hostname) && !parsed.hostname.startsWith('dl.')) {
+    parsed.searchParams.delete('dl');
+    parsed.searchParams.set('raw', '1');
+    return parsed.toString();
+  }
+
+  return text;
+}
+
+/**
+ * Generated avatar for a name: initials on a background whose hue is derived from the name
+ * The same name always gets the same avatar
+ * @param {string} name - Person name
+ * @returns {string} SVG data URI
+ */
+export function getGeneratedAvatar(name) {
+  const key = String(name || '');
+  if (generatedAvatars.has(key)) return generatedAvatars.get(key);
+
+  const hue = hashString(key) % 360;
+  const initials = (getInitials(key) || '?').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">`
+    + `<defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1">`
+    + `<stop offset="0" stop-color="hsl(${hue}, 60%, 52%)"/><stop offset="1" stop-color="hsl(${(hue + 40) % 360}, 60%, 32%)"/>`
+    + `</linearGradient></defs><rect width="100" height="100" fill="url(#g)"/>`
+    + `<text x="50" y="50" dy="0.35em" text-anchor="middle" font-family="Arial, sans-serif" font-size="40" font-weight="bold" fill="#fff">${initials}</text>`
+    + `</svg>`;
+
+  const uri = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  generatedAvatars.set(key, uri);
+  return uri;
+}
+
+/**
+ * The image to render right now: the photo once it has loaded, the generated avatar until then (or if it failed)
+ * @param {string} url - Normalized image URL ('' for none)
+ * @param {string} name - Person name (for the generated avatar)
+ * @returns {string} Image src
+ */
+export function getAvatarSrc(url, name) {
+  return url && imageCache.get(url)?.status === 'loaded' ? url : getGeneratedAvatar(name);
+}
+
+/**
+ * Whether a photo still has to be fetched (not loaded and not failed yet)
+ * @param {string} url - Normalized image URL
+ * @returns {boolean} True if it should be queued
+ */
+export function needsLoading(url) {
+  const status = imageCache.get(url)?.status;
+  return Boolean(url) && status !== 'loaded' && status !== 'failed';
+}
+
+/**
+ * Show the generated avatar if the photo in an <img> fails after all (e.g. it was evicted from the
+ * browser cache and the refetch is refused); the photo is then treated as failed from here on
+ * @param {HTMLImageElement} img - Avatar image (rendered with referrerpolicy="no-referrer", like the preload)
+ * @param {string} name - Person name (for the generated avatar)
+ */
+export function keepAvatarFallback(img, name) {
+  img.addEventListener('error', () => {
+    const entry = imageCache.get(img.getAttribute('src'));
+    if (entry) {
+      entry.status = 'failed';
+      entry.image = null;
+    }
+    img.classList.remove('avatar-loaded');
+    img.src = getGeneratedAvatar(name);
+  }, { once: true });
+}
+
+/**
+ * Queue a tile's photo; queued photos load a few at a time, nearest visible tiles first
+ * When it loads, the tile's <img data-avatar-src> swaps from the generated avatar to the photo
+ * @param {THREE.CSS3DObject} object - Tile
+ * @param {string} url - Normalized image URL
+ */
+export function queueAvatar(object, url) {
+  if (!needsLoading(url)) {
+    pendingTiles.delete(object);
+    return;
+  }
+
+  pendingTiles.set(object, url);
+
+  // Wait a frame so freshly created tiles have their layout positions before they are ranked
+  if (pumpScheduled) return;
+  pumpScheduled = true;
+  requestAnimationFrame(() => {
+    pumpScheduled = false;
+    pumpQueue();
+  });
+}
+
+/**
+ * Drop queued photos (removed tiles, or every tile when the scene is torn down); loaded photos stay cached
+ * @param {Array} [objects] - Tiles to drop; all when omitted
+ */
+export function clearAvatarQueue(objects) {
+  if (!objects) {
+    pendingTiles.clear();
+    return;
+  }
+  objects.forEach(object => pendingTiles.delete(object));
+}
+
+/**
+ * Load and decode an image once; later calls share the result
+ * @param {string} url - Image URL
+ * @returns {Promise<boolean>} True if it loaded
+ */
+export function loadImage(url) {
+  const cached = imageCache.get(url);
+  if (cached) return cached.promise;
+
+  const image = new Image();
+  image.decoding = 'async';
+  image.referrerPolicy = 'no-referrer'; // Google-hosted photos reject requests with a referrer
+
+  const entry = { status: 'loading', image, promise: null };
+  entry.promise = new Promise(resolve => {
+    const timer = setTimeout(() => finish(false), LOAD_TIMEOUT);
+
+    function finish(loaded) {
+      clearTimeout(timer);
+      if (entry.status !== 'loading') return;
+      entry.status = loaded ? 'loaded' : 'failed';
+      if (!loaded) {
+        image.src = ''; // Cancel the request
+        entry.image = null;
+      }
+      resolve(loaded);
+    }
+
+    image.src = url;
+    image.decode().then(() => finish(true), () => finish(false));
+  });
+
+  imageCache.set(url, entry);
+  return entry.promise;
+}
+
+/**
+ * Start loads until the concurrency limit is reached, always picking the best-placed pending tile
+ */
+function pumpQueue() {
+  while (activeLoads < MAX_CONCURRENT_LOADS && pendingTiles.size > 0) {
+    const object = takeNearestTile();
+    const url = pendingTiles.get(object);
+    pendingTiles.delete(object);
+
+    activeLoads++;
+    loadImage(url).then(loaded => {
+      activeLoads--;
+      if (loaded) showLoadedAvatar(object, url);
+
+      // Other tiles waiting for the same photo are done too
+      pendingTiles.forEach((pendingUrl, pendingObject) => {
+        if (pendingUrl !== url) return;
+        pendingTiles.delete(pendingObject);
+        if (loaded) showLoadedAvatar(pendingObject, url);
+      });
+
+      pumpQueue();
+    });
+  }
+}
+
+/**
+ * Pending tile closest to the camera, preferring tiles inside the view
+ * (scored at dequeue time, so camera moves and layout changes re-prioritize the queue)
+ * @returns {THREE.CSS3DObject} Tile
+ */
+function takeNearestTile() {
+  const camera = getCamera();
+  if (!camera) return pendingTiles.keys().next().value;
+
+  const frustum = new THREE.Frustum().setFromProjectionMatrix(
+    new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+  );
+
+  let best = null;
+  let bestScore = Infinity;
+  pendingTiles.forEach((url, object) => {
+    const distance = camera.position.distanceToSquared(object.position);
+    const score = frustum.containsPoint(object.position) ? distance : distance + OFFSCREEN_PENALTY;
+    if (score < bestScore) {
+      bestScore = score;
+      best = object;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Swap a tile's generated avatar for its loaded photo (if the tile still shows that photo)
+ * @param {THREE.CSS3DObject} object - Tile
+ * @param {string} url - Loaded image URL
+ */
+function showLoadedAvatar(object, url) {
+  object.element.querySelectorAll('img[data-avatar-src]').forEach(img => {
+    if (img.dataset.avatarSrc !== url) return;
+    img.src = url;
+    img.removeAttribute('data-avatar-src');
+    img.classList.add('avatar-loaded');
+  });
+}
+
+/**
+ * Small deterministic string hash (FNV-1a)
+ * @param {string} text - Text
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
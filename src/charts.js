@@ -0,0 +1,241 @@
+// Chart layouts - data-encoded scatter plot and bar chart, registered with the layout registry
+import * as THREE from 'three';
+import { registerLayout } from './registry.js';
+import { LAYOUT_CONSTANTS } from './layouts.js';
+import { groupItems } from './groups.js';
+import { getFieldValue, getFieldLabel } from './fields.js';
+import { toNumber, formatCompact } from './formats.js';
+
+const AXIS_TICKS = 5; // Tick intervals per axis
+const AXIS_LINE_WIDTH = 2; // pixels
+const LABEL_OFFSET = 60; // Distance between an axis and its tick labels
+
+/**
+ * 3D scatter plot: X/Y/Z positions come from three numeric fields
+ * Tiles without a value on an axis sit in an "n/a" slot just before that axis starts
+ * @param {Array<Object>} items - Person objects
+ * @param {Object} params - { xField, yField, zField, spread, minSize }
+ * @returns {Object} { targets, labels, order }
+ */
+function generateScatterLayout(items, params) {
+  const { WIDTH, HEIGHT } = LAYOUT_CONSTANTS.TILE;
+  const size = Math.max(params.minSize, Math.sqrt(items.length) * WIDTH * params.spread);
+  const half = size / 2;
+  const missingAt = -half - Math.max(WIDTH, HEIGHT);
+
+  const axes = [params.xField, params.yField, params.zField].map(field => buildAxis(items, field));
+  const toCoordinate = (axis, value) => (isNaN(value) ? missingAt : -half + axis.normalize(value) * size);
+
+  const targets = items.map((_, index) => {
+    const [x, y, z] = axes.map(axis => toCoordinate(axis, axis.values[index]));
+    const target = new THREE.Object3D();
+    target.position.set(x, y, z);
+    target.rotation.set(0, 0, 0);
+    return target;
+  });
+
+  const labels = [];
+  const [xAxis, yAxis, zAxis] = axes;
+
+  // X axis along the bottom front edge
+  labels.push(axisLine({ x: 0, y: -half, z: -half }, size, 'horizontal'));
+  xAxis.ticks.forEach(value => labels.push(axisTick(value, { x: toCoordinate(xAxis, value), y: -half - LABEL_OFFSET, z: -half })));
+  if (xAxis.hasMissing) labels.push(axisTick(null, { x: missingAt, y: -half - LABEL_OFFSET, z: -half }));
+  labels.push(axisTitle(`X: ${getFieldLabel(xAxis.field)}`, { x: 0, y: -half - LABEL_OFFSET * 2.5, z: -half }));
+
+  // Y axis up the left edge
+  labels.push(axisLine({ x: -half, y: 0, z: -half }, size, 'vertical'));
+  yAxis.ticks.forEach(value => labels.push(axisTick(value, { x: -half - LABEL_OFFSET * 1.5, y: toCoordinate(yAxis, value), z: -half })));
+  if (yAxis.hasMissing) labels.push(axisTick(null, { x: -half - LABEL_OFFSET * 1.5, y: missingAt, z: -half }));
+  labels.push(axisTitle(`Y: ${getFieldLabel(yAxis.field)}`, { x: -half, y: half + LABEL_OFFSET * 1.5, z: -half }));
+
+  // Z axis running toward the viewer
+  labels.push(axisLine({ x: -half, y: -half, z: 0 }, size, 'depth'));
+  zAxis.ticks.forEach(value => labels.push(axisTick(value, { x: -half - LABEL_OFFSET * 1.5, y: -half, z: toCoordinate(zAxis, value) })));
+  if (zAxis.hasMissing) labels.push(axisTick(null, { x: -half - LABEL_OFFSET * 1.5, y: -half, z: missingAt }));
+  labels.push(axisTitle(`Z: ${getFieldLabel(zAxis.field)}`, { x: -half, y: -half - LABEL_OFFSET * 2.5, z: half + LABEL_OFFSET }));
+
+  // Position depends on each item's values, not on the sort order
+  return { targets, labels, order: items.map((_, index) => index) };
+}
+
+/**
+ * Bar chart (histogram): tiles stack into one column per category
+ * @param {Array<Object>} items - Person objects
+ * @param {Object} params - { categoryField, barWidth, spacing }
+ * @param {Object} options - { sortBy, sortDirection } orders tiles inside each bar
+ * @returns {Object} { targets, labels, order }
+ */
+function generateBarLayout(items, params, options) {
+  const { WIDTH, HEIGHT } = LAYOUT_CONSTANTS.TILE;
+  const groups = groupItems(items, params.categoryField, options);
+  const barWidth = Math.max(1, Math.round(params.barWidth));
+  const xSpacing = WIDTH * params.spacing;
+  const ySpacing = HEIGHT * params.spacing;
+
+  // Each bar is barWidth tiles wide with one empty column between bars
+  const barSpan = (barWidth + 1) * xSpacing;
+  const totalWidth = groups.length * barSpan - xSpacing;
+  const tallest = Math.max(1, ...groups.map(group => Math.ceil(group.indices.length / barWidth)));
+  const baseY = -(tallest * ySpacing) / 2;
+  const left = -totalWidth / 2;
+
+  const targets = [];
+  const order = [];
+  const labels = [];
+
+  groups.forEach((group, groupIndex) => {
+    const barLeft = left + groupIndex * barSpan + xSpacing / 2;
+
+    group.indices.forEach((itemIndex, k) => {
+      const target = new THREE.Object3D();
+      target.position.set(
+        barLeft + (k % barWidth) * xSpacing,
+        baseY + (Math.floor(k / barWidth) + 0.5) * ySpacing,
+        0
+      );
+      target.rotation.set(0, 0, 0);
+      targets.push(target);
+      order.push(itemIndex);
+    });
+
+    labels.push({
+      text: `${group.label} (${group.indices.length})`,
+      position: { x: barLeft + ((barWidth - 1) * xSpacing) / 2, y: baseY - LABEL_OFFSET, z: 0 },
+      className: 'group-label',
+    });
+  });
+
+  // Baseline and count axis (one tick every few rows)
+  labels.push(axisLine({ x: 0, y: baseY, z: 0 }, totalWidth + xSpacing, 'horizontal'));
+  labels.push(axisLine({ x: left - xSpacing / 2, y: 0, z: 0 }, tallest * ySpacing, 'vertical'));
+  const tickRows = Math.max(1, Math.ceil(tallest / AXIS_TICKS));
+  for (let row = 0; row <= tallest; row += tickRows) {
+    labels.push(axisTick(row * barWidth, { x: left - xSpacing, y: baseY + row * ySpacing, z: 0 }));
+  }
+  labels.push(axisTitle(`Count by ${getFieldLabel(params.categoryField)}`, {
+    x: left - xSpacing / 2,
+    y: -baseY + LABEL_OFFSET * 1.5,
+    z: 0,
+  }));
+
+  return { targets, labels, order };
+}
+
+/**
+ * Numeric values, range and tick values for one axis
+ * @param {Array<Object>} items - Person objects
+ * @param {string} field - Field key
+ * @returns {Object} { field, values, normalize, ticks, hasMissing }
+ */
+function buildAxis(items, field) {
+  const values = items.map(item => toNumber(getFieldValue(item, field)));
+  const present = values.filter(value => !isNaN(value));
+
+  let min = present.length > 0 ? Math.min(...present) : 0;
+  let max = present.length > 0 ? Math.max(...present) : 1;
+  if (min === max) {
+    min -= 1;
+    max += 1;
+  }
+
+  const ticks = [];
+  for (let i = 0; i <= AXIS_TICKS; i++) {
+    ticks.push(min + ((max - min) * i) / AXIS_TICKS);
+  }
+
+  return {
+    field,
+    values,
+    normalize: value => (value - min) / (max - min),
+    ticks,
+    hasMissing: present.length < values.length,
+  };
+}
+
+/**
+ * Thin line label along an axis
+ * @param {Object} center - { x, y, z } middle of the line
+ * @param {number} length - Line length in world units
+ * @param {string} direction - 'horizontal', 'vertical' or 'depth'
+ * @returns {Object} Label definition (see labels.js)
+ */
+function axisLine(center, length, direction) {
+  const vertical = direction === 'vertical';
+  return {
+    text: '',
+    position: center,
+    rotation: direction === 'depth' ? { x: 0, y: Math.PI / 2, z: 0 } : undefined,
+    className: 'axis-line',
+    style: {
+      width: `${vertical ? AXIS_LINE_WIDTH : length}px`,
+      height: `${vertical ? length : AXIS_LINE_WIDTH}px`,
+    },
+  };
+}
+
+/**
+ * Tick value label
+ * @param {number|null} value - Tick value (null marks the "n/a" slot)
+ * @param {Object} position - { x, y, z }
+ * @returns {Object} Label definition
+ */
+function axisTick(value, position) {
+  return { text: value == null ? 'n/a' : formatTick(value), position, className: 'axis-tick' };
+}
+
+/**
+ * Axis title label
+ * @param {string} text - Title
+ * @param {Object} position - { x, y, z }
+ * @returns {Object} Label definition
+ */
+function axisTitle(text, position) {
+  return { text, position, className: 'axis-title' };
+}
+
+/**
+ * Format a tick value compactly (1.2K, 3.4M), keeping one decimal for small ranges
+ * @param {number} value - Tick value
+ * @returns {string} Formatted value
+ */
+function formatTick(value) {
+  const magnitude = Math.abs(value);
+  const text = magnitude >= 1000 ? formatCompact(magnitude) : String(Math.round(magnitude * 10) / 10);
+  return value < 0 ? `-${text}` : text;
+}
+
+registerLayout({
+  id: 'scatter',
+  label: 'SCATTER',
+  defaults: {
+    xField: 'age',
+    yField: 'netWorth',
+    zField: 'wealthIndex',
+    spread: 1.6,       // Axis length per √tile, as a multiple of the tile width
+    minSize: 1200,
+  },
+  params: [
+    { key: 'xField', label: 'X axis', type: 'field', fieldType: 'number' },
+    { key: 'yField', label: 'Y axis', type: 'field', fieldType: 'number' },
+    { key: 'zField', label: 'Z axis', type: 'field', fieldType: 'number' },
+    { key: 'spread', label: 'Spread', min: 0.5, max: 4, step: 0.1 },
+  ],
+  generate: generateScatterLayout,
+});
+
+registerLayout({
+  id: 'bars',
+  label: 'BARS',
+  defaults: {
+    categoryField: 'country',
+    barWidth: 2,      // Tiles side by side in each bar
+    spacing: 1.3,     // Slot size as a multiple of the tile size
+  },
+  params: [
+    { key: 'categoryField', label: 'Category', type: 'field', fieldType: 'category' },
+    { key: 'barWidth', label: 'Bar width (tiles)', min: 1, max: 10, step: 1 },
+    { key: 'spacing', label: 'Spacing', min: 1, max: 3, step: 0.05 },
+  ],
+  generate: generateBarLayout,
+});
@@ -0,0 +1,277 @@
+// Color encodings - map any numeric or text field to tile colors and build a matching legend
+import { getFieldValue } from './fields.js';
+import { toNumber, formatCompact, formatCompactCurrency, escapeHtml } from './formats.js';
+import { convertAmount } from './currency.js';
+
+// Background colors (neon style)
+export const COLORS = {
+  RED: '#ff2d55',
+  ORANGE: '#ff9f0a',
+  GREEN: '#32ff7e',
+  NO_DATA: '#5a6b7b',
+};
+
+// Continuous gradient stops (low -> high)
+const GRADIENT_STOPS = [
+  '#b31217', '#d02027', '#e65c00', '#f0a202', '#f6d743',
+  '#c7e35c', '#7bc96f', '#2ca25f', '#0b6e4f', '#0a3d62',
+];
+
+// Categorical palette; values beyond the palette share the "Other" color
+const CATEGORICAL_PALETTE = [
+  '#ff2d55', '#32ff7e', '#4a9eff', '#ff9f0a', '#bf5af2',
+  '#64d2ff', '#ffd60a', '#ff6482', '#30d158', '#ac8e68',
+];
+
+// Hand-picked bands for known fields (the original net worth coloring); net worth stops are in USD
+const FIXED_BANDS = {
+  netWorth: {
+    stops: [100000, 200000],
+    currency: 'USD',
+    colors: [COLORS.RED, COLORS.ORANGE, COLORS.GREEN],
+  },
+};
+
+export const SCALE_TYPES = {
+  threshold: { label: 'Fixed bands', numeric: true },
+  gradient: { label: 'Gradient', numeric: true },
+  quantile: { label: 'Quantile bins', numeric: true },
+  equal: { label: 'Equal bins', numeric: true },
+  categorical: { label: 'Categories', numeric: false },
+};
+
+export const DEFAULT_ENCODING = { field: 'netWorth', type: 'threshold', bins: 5 };
+
+let activeScale = null;
+
+/**
+ * Scale types that can be applied to a field
+ * @param {Object} field - Field descriptor (see listFields)
+ * @returns {Array<string>} Keys of SCALE_TYPES
+ */
+export function getScaleTypesForField(field) {
+  return Object.keys(SCALE_TYPES).filter(type => {
+    if (type === 'threshold') return Boolean(FIXED_BANDS[field.key]);
+    if (type === 'categorical') return true;
+    return field.type === 'number';
+  });
+}
+
+/**
+ * Build a color scale for an encoding over the loaded people
+ * @param {Array} people - Array of person objects
+ * @param {Object} encoding - { field, type, bins }
+ * @returns {Object} { encoding, colorFor(person), legend: { gradient?, min?, max?, items } }
+ */
+export function buildColorScale(people, encoding = DEFAULT_ENCODING) {
+  const { field, type } = encoding;
+
+  if (type === 'categorical') {
+    return buildCategoricalScale(people, encoding);
+  }
+
+  const values = people
+    .map(person => toNumber(getFieldValue(person, field)))
+    .filter(value => !isNaN(value))
+    .sort((a, b) => a - b);
+
+  const valueOf = person => toNumber(getFieldValue(person, field));
+  const min = values.length ? values[0] : 0;
+  const max = values.length ? values[values.length - 1] : 0;
+  const format = value => formatLegendValue(value, field);
+
+  if (type === 'gradient') {
+    return {
+      encoding,
+      colorFor: person => {
+        const value = valueOf(person);
+        if (isNaN(value)) return COLORS.NO_DATA;
+        return sampleGradient(max > min ? (value - min) / (max - min) : 0.5);
+      },
+      legend: {
+        gradient: `linear-gradient(to right, ${GRADIENT_STOPS.join(', ')})`,
+        min: format(min),
+        max: format(max),
+        items: [],
+      },
+    };
+  }
+
+  let stops;
+  let colors;
+  if (type === 'threshold' && FIXED_BANDS[field]) {
+    ({ stops, colors } = FIXED_BANDS[field]);
+    const { currency } = FIXED_BANDS[field];
+    if (currency) stops = stops.map(stop => convertAmount(stop, currency)); // Values are in the display currency
+  } else {
+    const bins = Math.max(2, encoding.bins || DEFAULT_ENCODING.bins);
+    stops = type === 'quantile' ? quantileStops(values, bins) : equalStops(min, max, bins);
+    colors = Array.from({ length: stops.length + 1 }, (_, i) => sampleGradient(i / stops.length));
+  }
+
+  return {
+    encoding,
+    colorFor: person => {
+      const value = valueOf(person);
+      if (isNaN(value)) return COLORS.NO_DATA;
+      const bin = stops.findIndex(stop => value < stop);
+      return colors[bin === -1 ? stops.length : bin];
+    },
+    legend: {
+      gradient: `linear-gradient(to right, ${colors.join(', ')})`,
+      min: 'Low',
+      max: 'High',
+      items: colors.map((color, i) => ({
+        color,
+        label: i === 0 ? `<${format(stops[0])}` : `≥${format(stops[i - 1])}`,
+      })),
+    },
+  };
+}
+
+/**
+ * Build a categorical scale: most frequent values get palette colors
+ * @param {Array} people - Array of person objects
+ * @param {Object} encoding - { field }
+ * @returns {Object} Color scale
+ */
+function buildCategoricalScale(people, encoding) {
+  const counts = new Map();
+  people.forEach(person => {
+    const value = categoryOf(person, encoding.field);
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+
+  const categories = Array.from(counts.keys())
+    .sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+  const colored = categories.slice(0, CATEGORICAL_PALETTE.length);
+  const hasOther = categories.length > colored.length;
+
+  const items = colored.map((label, i) => ({ color: CATEGORICAL_PALETTE[i], label }));
+  if (hasOther) items.push({ color: COLORS.NO_DATA, label: 'Other' });
+
+  return {
+    encoding,
+    colorFor: person => {
+      const index = colored.indexOf(categoryOf(person, encoding.field));
+      return index === -1 ? COLORS.NO_DATA : CATEGORICAL_PALETTE[index];
+    },
+    legend: { items },
+  };
+}
+
+/**
+ * Category label for a person (empty values are grouped as "Unknown")
+ */
+function categoryOf(person, field) {
+  const value = getFieldValue(person, field);
+  return value == null || String(value).trim() === '' ? 'Unknown' : String(value).trim();
+}
+
+/**
+ * Bin boundaries splitting sorted values into equally populated bins
+ * @param {Array<number>} sorted - Sorted numeric values
+ * @param {number} bins - Number of bins
+ * @returns {Array<number>} Ascending, de-duplicated boundaries
+ */
+function quantileStops(sorted, bins) {
+  if (sorted.length === 0) return [0];
+  const stops = [];
+  for (let i = 1; i < bins; i++) {
+    stops.push(sorted[Math.floor((i / bins) * sorted.length)]);
+  }
+  return Array.from(new Set(stops));
+}
+
+/**
+ * Bin boundaries splitting [min, max] into equal-width bins
+ * @param {number} min - Minimum value
+ * @param {number} max - Maximum value
+ * @param {number} bins - Number of bins
+ * @returns {Array<number>} Ascending boundaries
+ */
+function equalStops(min, max, bins) {
+  if (max <= min) return [min];
+  const step = (max - min) / bins;
+  return Array.from({ length: bins - 1 }, (_, i) => min + step * (i + 1));
+}
+
+/**
+ * Sample the gradient at t (0-1), interpolating between stops
+ * @param {number} t - Position along the gradient
+ * @returns {string} Color hex code
+ */
+function sampleGradient(t) {
+  const clamped = Math.min(1, Math.max(0, t));
+  const scaled = clamped * (GRADIENT_STOPS.length - 1);
+  const i = Math.min(GRADIENT_STOPS.length - 2, Math.floor(scaled));
+  return mixColors(GRADIENT_STOPS[i], GRADIENT_STOPS[i + 1], scaled - i);
+}
+
+/**
+ * Linearly mix two hex colors
+ */
+function mixColors(a, b, t) {
+  const channel = (hex, offset) => parseInt(hex.slice(offset, offset + 2), 16);
+  const mixed = [1, 3, 5].map(offset => {
+    const value = Math.round(channel(a, offset) + (channel(b, offset) - channel(a, offset)) * t);
+    return value.toString(16).padStart(2, '0');
+  });
+  return `#${mixed.join('')}`;
+}
+
+/**
+ * Format a legend boundary (net worth is shown in the display currency)
+ */
+function formatLegendValue(value, field) {
+  if (field === 'netWorth') return formatCompactCurrency(value);
+  return Math.abs(value) >= 1000 ? formatCompact(value) : String(Math.round(value * 10) / 10);
+}
+
+/**
+ * Set the scale used when rendering tiles
+ * @param {Object} scale - Scale from buildColorScale
+ */
+export function setColorScale(scale) {
+  activeScale = scale;
+}
+
+/**
+ * Get the scale used when rendering tiles
+ * @returns {Object|null} Active scale
+ */
+export function getColorScale() {
+  return activeScale;
+}
+
+/**
+ * Get the tile background color for a person from the active scale
+ * @param {Object} person - Person object
+ * @returns {string} Color hex code
+ */
+export function getTileColor(person) {
+  return activeScale ? activeScale.colorFor(person) : COLORS.NO_DATA;
+}
+
+/**
+ * Render the legend for a scale into a container
+ * @param {HTMLElement} container - Legend container
+ * @param {Object} scale - Scale from buildColorScale
+ */
+export function renderLegend(container, scale) {
+  if (!container || !scale) return;
+  const { legend } = scale;
+
+  const header = legend.gradient ? `
+    <div class="gradient-header">
+      <span class="gradient-label">${escapeHtml(legend.min)}</span>
+      <div class="gradient-line" style="background: ${legend.gradient};"></div>
+      <span class="gradient-label">${escapeHtml(legend.max)}</span>
+    </div>` : '';
+
+  const items = legend.items.map(item => `
+    <span class="legend-item"><span class="legend-color" style="background: ${item.color};"></span> ${escapeHtml(item.label)}</span>
+  `).join('');
+
+  container.innerHTML = `${header}${items ? `<div class="gradient-legend">${items}</div>` : ''}`;
+}
@@ -0,0 +1,290 @@
+// Country centroids - offline lookup of approximate country latitude/longitude by name or ISO code
+
+// ISO 3166-1 alpha-2 code -> [name, latitude, longitude]
+const COUNTRY_CENTROIDS = {
+  AD: ['Andorra', 42.5, 1.6],
+  AE: ['United Arab Emirates', 23.4, 53.8],
+  AF: ['Afghanistan', 33.9, 67.7],
+  AG: ['Antigua and Barbuda', 17.1, -61.8],
+  AL: ['Albania', 41.2, 20.2],
+  AM: ['Armenia', 40.1, 45.0],
+  AO: ['Angola', -11.2, 17.9],
+  AR: ['Argentina', -38.4, -63.6],
+  AT: ['Austria', 47.5, 14.6],
+  AU: ['Australia', -25.3, 133.8],
+  AZ: ['Azerbaijan', 40.1, 47.6],
+  BA: ['Bosnia and Herzegovina', 43.9, 17.7],
+  BB: ['Barbados', 13.2, -59.5],
+  BD: ['Bangladesh', 23.7, 90.4],
+  BE: ['Belgium', 50.5, 4.5],
+  BF: ['Burkina Faso', 12.2, -1.6],
+  BG: ['Bulgaria', 42.7, 25.5],
+  BH: ['Bahrain', 26.0, 50.6],
+  BI: ['Burundi', -3.4, 29.9],
+  BJ: ['Benin', 9.3, 2.3],
+  BN: ['Brunei', 4.5, 114.7],
+  BO: ['Bolivia', -16.3, -63.6],
+  BR: ['Brazil', -14.2, -51.9],
+  BS: ['Bahamas', 25.0, -77.4],
+  BT: ['Bhutan', 27.5, 90.4],
+  BW: ['Botswana', -22.3, 24.7],
+  BY: ['Belarus', 53.7, 28.0],
+  BZ: ['Belize', 17.2, -88.5],
+  CA: ['Canada', 56.1, -106.3],
+  CD: ['DR Congo', -4.0, 21.8],
+  CF: ['Central African Republic', 6.6, 20.9],
+  CG: ['Republic of the Congo', -0.2, 15.8],
+  CH: ['Switzerland', 46.8, 8.2],
+  CI: ['Ivory Coast', 7.5, -5.5],
+  CL: ['Chile', -35.7, -71.5],
+  CM: ['Cameroon', 7.4, 12.4],
+  CN: ['China', 35.9, 104.2],
+  CO: ['Colombia', 4.6, -74.3],
+  CR: ['Costa Rica', 9.7, -83.8],
+  CU: ['Cuba', 21.5, -77.8],
+  CV: ['Cape Verde', 16.0, -24.0],
+  CY: ['Cyprus', 35.1, 33.4],
+  CZ: ['Czechia', 49.8, 15.5],
+  DE: ['Germany', 51.2, 10.5],
+  DJ: ['Djibouti', 11.8, 42.6],
+  DK: ['Denmark', 56.3, 9.5],
+  DM: ['Dominica', 15.4, -61.4],
+  DO: ['Dominican Republic', 18.7, -70.2],
+  DZ: ['Algeria', 28.0, 1.7],
+  EC: ['Ecuador', -1.8, -78.2],
+  EE: ['Estonia', 58.6, 25.0],
+  EG: ['Egypt', 26.8, 30.8],
+  ER: ['Eritrea', 15.2, 39.8],
+  ES: ['Spain', 40.5, -3.7],
+  ET: ['Ethiopia', 9.1, 40.5],
+  FI: ['Finland', 61.9, 25.7],
+  FJ: ['Fiji', -17.7, 178.1],
+  FM: ['Micronesia', 7.4, 150.6],
+  FR: ['France', 46.2, 2.2],
+  GA: ['Gabon', -0.8, 11.6],
+  GB: ['United Kingdom', 55.4, -3.4],
+  GD: ['Grenada', 12.1, -61.7],
+  GE: ['Georgia', 42.3, 43.4],
+  GH: ['Ghana', 7.9, -1.0],
+  GM: ['Gambia', 13.4, -15.3],
+  GN: ['Guinea', 9.9, -9.7],
+  GQ: ['Equatorial Guinea', 1.7, 10.3],
+  GR: ['Greece', 39.1, 21.8],
+  GT: ['Guatemala', 15.8, -90.2],
+  GW: ['Guinea-Bissau', 11.8, -15.2],
+  GY: ['Guyana', 4.9, -58.9],
+  HK: ['Hong Kong', 22.3, 114.2],
+  HN: ['Honduras', 15.2, -86.2],
+  HR: ['Croatia', 45.1, 15.2],
+  HT: ['Haiti', 19.0, -72.3],
+  HU: ['Hungary', 47.2, 19.5],
+  ID: ['Indonesia', -0.8, 113.9],
+  IE: ['Ireland', 53.4, -8.2],
+  IL: ['Israel', 31.0, 34.9],
+  IN: ['India', 20.6, 79.0],
+  IQ: ['Iraq', 33.2, 43.7],
+  IR: ['Iran', 32.4, 53.7],
+  IS: ['Iceland', 64.9, -19.0],
+  IT: ['Italy', 41.9, 12.6],
+  JM: ['Jamaica', 18.1, -77.3],
+  JO: ['Jordan', 30.6, 36.2],
+  JP: ['Japan', 36.2, 138.3],
+  KE: ['Kenya', 0.0, 37.9],
+  KG: ['Kyrgyzstan', 41.2, 74.8],
+  KH: ['Cambodia', 12.6, 105.0],
+  KI: ['Kiribati', 1.9, -157.4],
+  KM: ['Comoros', -11.9, 43.9],
+  KN: ['Saint Kitts and Nevis', 17.4, -62.8],
+  KP: ['North Korea', 40.3, 127.5],
+  KR: ['South Korea', 35.9, 127.8],
+  KW: ['Kuwait', 29.3, 47.5],
+  KZ: ['Kazakhstan', 48.0, 66.9],
+  LA: ['Laos', 19.9, 102.5],
+  LB: ['Lebanon', 33.9, 35.9],
+  LC: ['Saint Lucia', 13.9, -61.0],
+  LI: ['Liechtenstein', 47.2, 9.6],
+  LK: ['Sri Lanka', 7.9, 80.8],
+  LR: ['Liberia', 6.4, -9.4],
+  LS: ['Lesotho', -29.6, 28.2],
+  LT: ['Lithuania', 55.2, 23.9],
+  LU: ['Luxembourg', 49.8, 6.1],
+  LV: ['Latvia', 56.9, 24.6],
+  LY: ['Libya', 26.3, 17.2],
+  MA: ['Morocco', 31.8, -7.1],
+  MC: ['Monaco', 43.7, 7.4],
+  MD: ['Moldova', 47.4, 28.4],
+  ME: ['Montenegro', 42.7, 19.4],
+  MG: ['Madagascar', -18.8, 46.9],
+  MH: ['Marshall Islands', 7.1, 171.2],
+  MK: ['North Macedonia', 41.6, 21.7],
+  ML: ['Mali', 17.6, -4.0],
+  MM: ['Myanmar', 21.9, 95.9],
+  MN: ['Mongolia', 46.9, 103.8],
+  MO: ['Macau', 22.2, 113.5],
+  MR: ['Mauritania', 21.0, -10.9],
+  MT: ['Malta', 35.9, 14.4],
+  MU: ['Mauritius', -20.3, 57.6],
+  MV: ['Maldives', 3.2, 73.2],
+  MW: ['Malawi', -13.3, 34.3],
+  MX: ['Mexico', 23.6, -102.6],
+  MY: ['Malaysia', 4.2, 101.9],
+  MZ: ['Mozambique', -18.7, 35.5],
+  NA: ['Namibia', -22.9, 18.5],
+  NE: ['Niger', 17.6, 8.1],
+  NG: ['Nigeria', 9.1, 8.7],
+  NI: ['Nicaragua', 12.9, -85.2],
+  NL: ['Netherlands', 52.1, 5.3],
+  NO: ['Norway', 60.5, 8.5],
+  NP: ['Nepal', 28.4, 84.1],
+  NR: ['Nauru', -0.5, 166.9],
+  NZ: ['New Zealand', -40.9, 174.9],
+  OM: ['Oman', 21.5, 55.9],
+  PA: ['Panama', 8.5, -80.8],
+  PE: ['Peru', -9.2, -75.0],
+  PG: ['Papua New Guinea', -6.3, 143.9],
+  PH: ['Philippines', 12.9, 121.8],
+  PK: ['Pakistan', 30.4, 69.3],
+  PL: ['Poland', 51.9, 19.1],
+  PR: ['Puerto Rico', 18.2, -66.6],
+  PS: ['Palestine', 31.9, 35.2],
+  PT: ['Portugal', 39.4, -8.2],
+  PW: ['Palau', 7.5, 134.6],
+  PY: ['Paraguay', -23.4, -58.4],
+  QA: ['Qatar', 25.4, 51.2],
+  RO: ['Romania', 45.9, 25.0],
+  RS: ['Serbia', 44.0, 21.0],
+  RU: ['Russia', 61.5, 105.3],
+  RW: ['Rwanda', -1.9, 29.9],
+  SA: ['Saudi Arabia', 23.9, 45.1],
+  SB: ['Solomon Islands', -9.6, 160.2],
+  SC: ['Seychelles', -4.7, 55.5],
+  SD: ['Sudan', 12.9, 30.2],
+  SE: ['Sweden', 60.1, 18.6],
+  SG: ['Singapore', 1.35, 103.8],
+  SI: ['Slovenia', 46.2, 15.0],
+  SK: ['Slovakia', 48.7, 19.7],
+  SL: ['Sierra Leone', 8.5, -11.8],
+  SM: ['San Marino', 43.9, 12.5],
+  SN: ['Senegal', 14.5, -14.5],
+  SO: ['Somalia', 5.2, 46.2],
+  SR: ['Suriname', 3.9, -56.0],
+  SS: ['South Sudan', 6.9, 31.3],
+  ST: ['Sao Tome and Principe', 0.2, 6.6],
+  SV: ['El Salvador', 13.8, -88.9],
+  SY: ['Syria', 34.8, 39.0],
+  SZ: ['Eswatini', -26.5, 31.5],
+  TD: ['Chad', 15.5, 18.7],
+  TG: ['Togo', 8.6, 0.8],
+  TH: ['Thailand', 15.9, 101.0],
+  TJ: ['Tajikistan', 38.9, 71.3],
+  TL: ['Timor-Leste', -8.9, 125.7],
+  TM: ['Turkmenistan', 38.97, 59.6],
+  TN: ['Tunisia', 33.9, 9.5],
+  TO: ['Tonga', -21.2, -175.2],
+  TR: ['Turkey', 39.0, 35.2],
+  TT: ['Trinidad and Tobago', 10.7, -61.2],
+  TV: ['Tuvalu', -7.1, 177.6],
+  TW: ['Taiwan', 23.7, 121.0],
+  TZ: ['Tanzania', -6.4, 34.9],
+  UA: ['Ukraine', 48.4, 31.2],
+  UG: ['Uganda', 1.4, 32.3],
+  US: ['United States', 37.1, -95.7],
+  UY: ['Uruguay', -32.5, -55.8],
+  UZ: ['Uzbekistan', 41.4, 64.6],
+  VA: ['Vatican City', 41.9, 12.5],
+  VC: ['Saint Vincent and the Grenadines', 12.98, -61.3],
+  VE: ['Venezuela', 6.4, -66.6],
+  VN: ['Vietnam', 14.1, 108.3],
+  VU: ['Vanuatu', -15.4, 166.9],
+  WS: ['Samoa', -13.8, -172.1],
+  XK: ['Kosovo', 42.6, 20.9],
+  YE: ['Yemen', 15.6, 48.5],
+  ZA: ['South Africa', -30.6, 22.9],
+  ZM: ['Zambia', -13.1, 27.8],
+  ZW: ['Zimbabwe', -19.0, 29.2],
+};
+
+// Other spellings people type into a country column -> ISO code
+const COUNTRY_ALIASES = {
+  'usa': 'US',
+  'united states of america': 'US',
+  'america': 'US',
+  'uk': 'GB',
+  'great britain': 'GB',
+  'britain': 'GB',
+  'england': 'GB',
+  'scotland': 'GB',
+  'wales': 'GB',
+  'northern ireland': 'GB',
+  'uae': 'AE',
+  'emirates': 'AE',
+  'korea': 'KR',
+  'republic of korea': 'KR',
+  'korea republic of': 'KR',
+  'dprk': 'KP',
+  'russian federation': 'RU',
+  'czech republic': 'CZ',
+  'holland': 'NL',
+  'the netherlands': 'NL',
+  'viet nam': 'VN',
+  'lao pdr': 'LA',
+  'burma': 'MM',
+  'persia': 'IR',
+  'turkiye': 'TR',
+  'cote divoire': 'CI',
+  'democratic republic of the congo': 'CD',
+  'drc': 'CD',
+  'congo': 'CG',
+  'swaziland': 'SZ',
+  'east timor': 'TL',
+  'macedonia': 'MK',
+  'cabo verde': 'CV',
+  'the bahamas': 'BS',
+  'the gambia': 'GM',
+  'vatican': 'VA',
+  'holy see': 'VA',
+  'prc': 'CN',
+  'mainland china': 'CN',
+  'republic of china': 'TW',
+  'hongkong': 'HK',
+  'macao': 'MO',
+};
+
+// Normalized name -> ISO code, built once from the table and aliases
+const NAME_INDEX = new Map([
+  ...Object.entries(COUNTRY_CENTROIDS).map(([code, [name]]) => [normalizeCountryName(name), code]),
+  ...Object.entries(COUNTRY_ALIASES),
+]);
+
+/**
+ * Normalize a country name for lookup (case, accents, punctuation, "the")
+ * @param {string} value - Country as typed
+ * @returns {string} Normalized name
+ */
+function normalizeCountryName(value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[.'’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Look up a country by name, alias or ISO alpha-2 code
+ * @param {string} value - Country as typed in the sheet
+ * @returns {Object|null} { code, name, lat, lon }, or null when unknown
+ */
+export function lookupCountry(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+
+  const code = /^[A-Za-z]{2}$/.test(text) && COUNTRY_CENTROIDS[text.toUpperCase()]
+    ? text.toUpperCase()
+    : NAME_INDEX.get(normalizeCountryName(text));
+  if (!code) return null;
+
+  const [name, lat, lon] = COUNTRY_CENTROIDS[code];
+  return { code, name, lat, lon };
+}
@@ -0,0 +1,270 @@
+// Currency & number parsing - locale-aware amounts with K/M/B suffixes, per-row currencies and offline exchange rates
+const STORAGE_KEY = 'kasatria.currency';
+
+// Offline exchange rates: units of each currency per 1 USD (approximate mid-market rates, January 2024)
+// Replace them in Settings with your own table when accuracy matters
+export const BUNDLED_RATES = {
+  USD: 1, EUR: 0.92, GBP: 0.79, JPY: 148, CNY: 7.2, INR: 83, CHF: 0.88, CAD: 1.35, AUD: 1.52,
+  NZD: 1.63, SGD: 1.34, HKD: 7.82, MYR: 4.7, IDR: 15600, THB: 35.5, PHP: 56, KRW: 1330, BRL: 4.95,
+  MXN: 17.1, ZAR: 18.7, SEK: 10.4, NOK: 10.5, DKK: 6.87, PLN: 4, AED: 3.67, SAR: 3.75, RUB: 90,
+};
+
+// Symbols written next to amounts; longer symbols first so "US$" wins over "$"
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'], ['A$', 'AUD'], ['C$', 'CAD'], ['NZ$', 'NZD'], ['S$', 'SGD'], ['HK$', 'HKD'], ['R$', 'BRL'],
+  ['CN¥', 'CNY'], ['RM', 'MYR'], ['Rp', 'IDR'], ['€', 'EUR'], ['£', 'GBP'], ['¥', 'JPY'], ['₹', 'INR'],
+  ['₩', 'KRW'], ['₽', 'RUB'], ['฿', 'THB'], ['₱', 'PHP'], ['zł', 'PLN'], ['$', 'USD'],
+];
+
+// Magnitude suffixes ("1.2M", "3 bn", "450k", "2 million")
+const MAGNITUDES = [
+  { pattern: /^(k|thousand)$/i, factor: 1e3 },
+  { pattern: /^(m|mm|mn|mio|million)$/i, factor: 1e6 },
+  { pattern: /^(b|bn|bil|billion)$/i, factor: 1e9 },
+  { pattern: /^(t|tn|trillion)$/i, factor: 1e12 },
+];
+
+// Number formats offered in Settings (besides the browser default)
+export const NUMBER_LOCALES = ['en-US', 'en-GB', 'en-IN', 'de-DE', 'fr-FR', 'es-ES', 'it-IT', 'nl-NL', 'pt-BR', 'ja-JP', 'id-ID', 'ms-MY'];
+
+export const DEFAULT_CURRENCY_SETTINGS = {
+  displayCurrency: 'USD', // Every amount is converted to this currency
+  defaultCurrency: 'USD', // Currency of amounts that name none (no symbol, code or currency column)
+  locale: '', // Number formatting locale; '' follows the browser
+  rates: null, // User-supplied rate table (units per 1 USD); null uses BUNDLED_RATES
+};
+
+let currencySettings = loadCurrencySettings();
+
+/**
+ * Get the currency settings
+ * @returns {Object} { displayCurrency, defaultCurrency, locale, rates }
+ */
+export function getCurrencySettings() {
+  return { ...currencySettings };
+}
+
+/**
+ * Merge changes into the currency settings and save them
+ * @param {Object} changes - Partial settings
+ */
+export function updateCurrencySettings(changes) {
+  currencySettings = { ...currencySettings, ...changes };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(currencySettings));
+  } catch (error) {
+    console.warn('Could not save currency settings:', error);
+  }
+}
+
+/**
+ * Get the active rate table (user-supplied, or the bundled one)
+ * @returns {Object} Currency code -> units per 1 USD
+ */
+export function getRates() {
+  return currencySettings.rates || BUNDLED_RATES;
+}
+
+/**
+ * Get the currency amounts are displayed (and compared) in
+ * @returns {string} ISO 4217 code
+ */
+export function getDisplayCurrency() {
+  return getRates()[currencySettings.displayCurrency] ? currencySettings.displayCurrency : 'USD';
+}
+
+/**
+ * Get the locale used for number formatting
+ * @returns {string|undefined} BCP 47 locale, or undefined for the browser default
+ */
+export function getNumberLocale() {
+  return currencySettings.locale || undefined;
+}
+
+/**
+ * Parse an amount such as "€1.234.567,89", "$1.2M", "1,5 Mio EUR", "(2,500)" or "JPY 3bn"
+ * Decimal separators are inferred per value: with both "." and "," present the last one is decimal;
+ * a lone separator followed by exactly three digits groups thousands (unless a magnitude suffix follows)
+ * @param {*} value - Raw cell value
+ * @param {string} [fallbackCurrency] - Currency when the value names none (e.g. from a currency column)
+ * @returns {Object|null} { amount, currency }, or null when there is no number
+ */
+export function parseAmount(value, fallbackCurrency = currencySettings.defaultCurrency) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? { amount: value, currency: fallbackCurrency } : null;
+  }
+
+  let text = String(value ?? '').trim();
+  if (!text) return null;
+
+  // Accounting negatives "(1,200)" and trailing minus "1200-"
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1).trim();
+  }
+  if (/^[-−]/.test(text) || /-$/.test(text)) {
+    negative = true;
+    text = text.replace(/^[-−]|-$/g, '').trim();
+  }
+
+  // ISO code ("EUR 1,5", "1.5 usd") or symbol ("€", "US$")
+  let currency = null;
+  const code = Array.from(text.matchAll(/(?<![A-Za-z])[A-Za-z]{3}(?![A-Za-z])/g))
+    .find(match => getRates()[match[0].toUpperCase()]);
+  if (code) {
+    currency = code[0].toUpperCase();
+    text = `${text.slice(0, code.index)} ${text.slice(code.index + 3)}`;
+  }
+  const symbol = CURRENCY_SYMBOLS.find(([mark]) => text.includes(mark));
+  if (symbol) {
+    currency = currency || symbol[1];
+    text = text.replace(symbol[0], ' ');
+  }
+  text = text.trim();
+  if (/^[-−]/.test(text)) {
+    negative = true; // "$-5", "€ -5"
+    text = text.slice(1).trim();
+  }
+
+  // Magnitude suffix after the number
+  let factor = 1;
+  const suffix = text.match(/^([\d.,'\s]*\d)\s*([a-z]+)\.?$/i);
+  if (suffix) {
+    const magnitude = MAGNITUDES.find(entry => entry.pattern.test(suffix[2]));
+    if (!magnitude) return null;
+    factor = magnitude.factor;
+    text = suffix[1];
+  }
+
+  const number = parseLocaleNumber(text, factor !== 1);
+  if (isNaN(number)) return null;
+
+  return { amount: (negative ? -number : number) * factor, currency: currency || fallbackCurrency };
+}
+
+/**
+ * Read a currency cell ("EUR", "eur", "€", "US$")
+ * @param {*} value - Cell value
+ * @returns {string|null} ISO code (unknown 3-letter codes are kept so a missing rate can be reported), or null
+ */
+export function resolveCurrencyCode(value) {
+  const text = String(value ?? '').trim();
+  if (/^[A-Za-z]{3}$/.test(text)) return text.toUpperCase();
+  const symbol = CURRENCY_SYMBOLS.find(([mark]) => text === mark);
+  return symbol ? symbol[1] : null;
+}
+
+/**
+ * Convert an amount between currencies with the active rate table
+ * @param {number} amount - Amount
+ * @param {string} from - Source currency code
+ * @param {string} [to] - Target currency code (defaults to the display currency)
+ * @returns {number} Converted amount, or NaN when a rate is missing
+ */
+export function convertAmount(amount, from, to = getDisplayCurrency()) {
+  const rates = getRates();
+  if (from === to) return amount;
+  if (!rates[from] || !rates[to]) return NaN;
+  return (amount / rates[from]) * rates[to];
+}
+
+/**
+ * Parse a user-supplied rate table: one "CODE rate" per line (units per 1 USD; also "CODE,rate", "CODE=rate"), or JSON { "EUR": 0.92 }
+ * @param {string} text - Rate table text
+ * @returns {Object} { rates, errors } - rates always include USD = 1
+ */
+export function parseRateTable(text) {
+  const errors = [];
+  let entries = [];
+
+  const trimmed = String(text || '').trim();
+  if (trimmed.startsWith('{')) {
+    try {
+      entries = Object.entries(JSON.parse(trimmed));
+    } catch (error) {
+      return { rates: null, errors: [`Invalid JSON: ${error.message}`] };
+    }
+  } else {
+    entries = trimmed.split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .map(line => {
+        const match = line.match(/^(\S+?)\s*[=:;,\s]\s*(\S+)$/);
+        return match ? [match[1], match[2]] : [line];
+      });
+  }
+
+  const rates = { USD: 1 };
+  entries.forEach(([code, rate]) => {
+    const key = String(code || '').toUpperCase();
+    const number = typeof rate === 'number' ? rate : Number(String(rate ?? '').replace(',', '.'));
+    if (!/^[A-Z]{3}$/.test(key) || !(number > 0)) {
+      errors.push(`Ignored "${code} ${rate ?? ''}" - expected a 3-letter code and a positive rate.`);
+      return;
+    }
+    rates[key] = number;
+  });
+
+  return { rates, errors };
+}
+
+/**
+ * Write a rate table as text (one "CODE rate" per line), for editing in Settings
+ * @param {Object} rates - Currency code -> units per 1 USD
+ * @returns {string} Text
+ */
+export function formatRateTable(rates) {
+  return Object.entries(rates).map(([code, rate]) => `${code} ${rate}`).join('\n');
+}
+
+/**
+ * Parse a plain number written with any common grouping and decimal separators
+ * @param {string} text - e.g. "1.234.567,89", "1,234,567.89", "1 234,5", "1'234", "12,5"
+ * @param {boolean} hasMagnitude - A magnitude suffix followed ("1.234M" is 1.234 million, not 1234 million)
+ * @returns {number} Number, or NaN
+ */
+function parseLocaleNumber(text, hasMagnitude) {
+  const compact = String(text).replace(/[\s']/g, ''); // Spaces (incl. no-break) and apostrophes group digits
+  if (!/^(\d[\d.,]*|[.,]\d+)$/.test(compact)) return NaN;
+
+  const lastDot = compact.lastIndexOf('.');
+  const lastComma = compact.lastIndexOf(',');
+  let decimal = null;
+
+  if (lastDot !== -1 && lastComma !== -1) {
+    decimal = lastDot > lastComma ? '.' : ',';
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const separator = lastDot !== -1 ? '.' : ',';
+    const occurrences = compact.split(separator).length - 1;
+    const digitsAfter = compact.length - compact.lastIndexOf(separator) - 1;
+    const integerPart = compact.slice(0, compact.indexOf(separator));
+    const groupsThousands = occurrences > 1 || (digitsAfter === 3 && !hasMagnitude && integerPart !== '0' && integerPart !== '');
+    decimal = groupsThousands ? null : separator;
+  }
+
+  if (!decimal) return Number(compact.replace(/[.,]/g, ''));
+
+  const decimalIndex = compact.lastIndexOf(decimal);
+  const integerPart = compact.slice(0, decimalIndex).replace(/[.,]/g, '');
+  return Number(`${integerPart}.${compact.slice(decimalIndex + 1)}`);
+}
+
+/**
+ * Load saved currency settings
+ * @returns {Object} Settings
+ */
+function loadCurrencySettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    if (!saved || typeof saved !== 'object') return { ...DEFAULT_CURRENCY_SETTINGS };
+    return {
+      ...DEFAULT_CURRENCY_SETTINGS,
+      ...saved,
+      rates: saved.rates && typeof saved.rates === 'object' ? saved.rates : null,
+    };
+  } catch (error) {
+    console.warn('Ignoring saved currency settings:', error);
+    return { ...DEFAULT_CURRENCY_SETTINGS };
+  }
+}
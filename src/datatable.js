@@ -0,0 +1,183 @@
+// Data table view - sortable HTML table fallback for the 3D scene, sharing its filter and selection
+import { listFields, getFieldValue } from './fields.js';
+import { compareByField } from './sorting.js';
+import { escapeHtml, formatCurrency } from './formats.js';
+import { getFilter, isFilterActive, matchesFilter } from './filters.js';
+import { focusTile, getFocusedObject } from './focus.js';
+
+const HIDDEN_FIELDS = ['imageUrl']; // Not useful as text
+
+let getObjects = () => [];
+let tableSort = { field: 'name', direction: 'asc' };
+let isVisible = false;
+let isListening = false;
+
+/**
+ * Enable the table view toggle
+ * @param {Object} options - { getObjects } - returns all tiles (each tile's userData is its person)
+ */
+export function initDataTable(options) {
+  getObjects = options.getObjects;
+
+  const view = document.getElementById('data-table-view');
+  if (!view) {
+    console.warn('Data table view not found');
+    return;
+  }
+
+  if (isListening) return;
+  isListening = true;
+
+  // Header sort buttons and row selection (delegated: the table is re-rendered often)
+  view.addEventListener('click', event => {
+    const sortButton = event.target.closest('[data-sort]');
+    if (sortButton) {
+      const field = sortButton.dataset.sort;
+      tableSort = {
+        field,
+        direction: tableSort.field === field && tableSort.direction === 'asc' ? 'desc' : 'asc',
+      };
+      renderDataTable();
+      const header = view.querySelector(`[data-sort="${CSS.escape(field)}"]`);
+      if (header) header.focus();
+      return;
+    }
+
+    const selectButton = event.target.closest('[data-select]');
+    if (selectButton) {
+      const object = getObjects()[Number(selectButton.dataset.select)];
+      if (object) focusTile(object); // Re-renders through viewStateChanged
+    }
+  });
+
+  // Filter, selection and data changes (from either view) keep the table current
+  window.addEventListener('viewStateChanged', () => {
+    if (isVisible) renderDataTable();
+  });
+}
+
+/**
+ * Show or hide the table view in place of the 3D scene
+ * Switching back to 3D puts keyboard focus on the selected tile
+ * @param {boolean} [visible] - Force a state; toggles when omitted
+ */
+export function toggleDataTable(visible) {
+  const view = document.getElementById('data-table-view');
+  const container = document.getElementById('container');
+  if (!view || !container) return;
+
+  isVisible = visible ?? !isVisible;
+  view.hidden = !isVisible;
+  container.classList.toggle('scene-hidden', isVisible);
+  container.inert = isVisible;
+
+  const button = document.getElementById('btn-table');
+  if (button) button.setAttribute('aria-pressed', String(isVisible));
+
+  if (isVisible) {
+    renderDataTable();
+    const selected = view.querySelector('tr.selected [data-select]');
+    if (selected) {
+      selected.scrollIntoView({ block: 'center' });
+      selected.focus({ preventScroll: true });
+    }
+  } else {
+    const focused = getFocusedObject();
+    if (focused) focused.element.focus({ preventScroll: true });
+  }
+}
+
+/**
+ * Whether the table view is showing (3D keyboard shortcuts pause meanwhile)
+ * @returns {boolean} True if visible
+ */
+export function isDataTableVisible() {
+  return isVisible;
+}
+
+/**
+ * Re-render the table after the people changed (e.g. live sync)
+ */
+export function refreshDataTable() {
+  if (isVisible) renderDataTable();
+}
+
+/**
+ * Render the filtered, sorted people into the table view
+ */
+function renderDataTable() {
+  const view = document.getElementById('data-table-view');
+  if (!view) return;
+
+  const objects = getObjects();
+  const people = objects.map(object => object.userData);
+  const fields = listFields(people).filter(field => !HIDDEN_FIELDS.includes(field.key));
+  if (!fields.some(field => field.key === tableSort.field)) tableSort = { field: 'name', direction: 'asc' };
+
+  const filter = getFilter();
+  const active = isFilterActive(filter);
+  const compare = compareByField(tableSort.field, tableSort.direction);
+  const rows = objects
+    .map((object, index) => ({ person: object.userData, index }))
+    .filter(row => !active || matchesFilter(row.person, filter))
+    .sort((a, b) => compare(a.person, b.person) || a.index - b.index);
+
+  const focused = getFocusedObject();
+  const selectedIndex = focused ? objects.indexOf(focused) : -1;
+  const focusedSelect = view.contains(document.activeElement) ? document.activeElement.dataset.select : undefined;
+
+  view.innerHTML = `
+    <table class="data-table">
+      <caption>People - ${rows.length === people.length ? `${people.length}` : `${rows.length} of ${people.length} (filtered)`}. Select a name to show it in 3D.</caption>
+      <thead>
+        <tr>
+          ${fields.map((field, fieldIndex) => `
+            <th scope="col" aria-sort="${field.key === tableSort.field ? (tableSort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}"
+              class="${field.type === 'number' ? 'numeric' : ''}">
+              <button type="button" class="data-table-sort" data-field-index="${fieldIndex}">
+                ${escapeHtml(field.label)}${field.key === tableSort.field ? (tableSort.direction === 'asc' ? ' ↑' : ' ↓') : ''}
+              </button>
+            </th>
+          `).join('')}
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map(({ person, index }) => `
+          <tr class="${index === selectedIndex ? 'selected' : ''}" ${index === selectedIndex ? 'aria-current="true"' : ''}>
+            ${fields.map(field => field.key === 'name' ? `
+              <th scope="row">
+                <button type="button" class="data-table-select" data-select="${index}">${escapeHtml(person.name)}</button>
+              </th>
+            ` : `
+              <td class="${field.type === 'number' ? 'numeric' : ''}">${escapeHtml(formatCell(person, field))}</td>
+            `).join('')}
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+
+  // Sort keys are sheet headers, so they are set as properties rather than written into markup
+  view.querySelectorAll('[data-field-index]').forEach(button => {
+    button.dataset.sort = fields[Number(button.dataset.fieldIndex)].key;
+  });
+
+  // Re-rendering replaces the buttons; keep keyboard focus on the same row
+  if (focusedSelect !== undefined) {
+    const button = view.querySelector(`[data-select="${focusedSelect}"]`);
+    if (button) button.focus({ preventScroll: true });
+  }
+}
+
+/**
+ * Cell text for a field
+ * @param {Object} person - Person object
+ * @param {Object} field - { key, type }
+ * @returns {string} Text ("—" when empty)
+ */
+function formatCell(person, field) {
+  const value = getFieldValue(person, field.key);
+  if (value == null || value === '') return '—';
+  if (field.key === 'netWorth') return formatCurrency(value);
+  return String(value);
+}
@@ -0,0 +1,574 @@
+// Export - PNG snapshot of the 3D view and CSV/JSON downloads of the people data, all client-side
+import * as THREE from 'three';
+import { getScene, getCamera } from './scene.js';
+import { TILE_FIELDS } from './mapping.js';
+import { getFilter, isFilterActive, matchesFilter } from './filters.js';
+import { getGeneratedAvatar } from './avatars.js';
+
+// Snapshot sizes as multiples of the on-screen view
+const PNG_SCALES = [1, 2, 3, 4];
+const MAX_CANVAS_SIZE = 16384; // pixels per side most browsers accept
+const CURVE_SEGMENTS = 8; // Points per rounded corner when tracing boxes
+const FORMULA_START = /^[=+\-@\t\r]/; // Text spreadsheets would run as a formula
+
+let getObjects = () => [];
+let isListening = false;
+let imageSubstitutes = new Map(); // Photo the canvas can't read back -> loaded generated avatar (during a PNG export)
+
+/**
+ * Initialize the export menu
+ * @param {Object} options - { getObjects } - returns all tiles (each tile's userData is its person)
+ */
+export function initExportMenu(options) {
+  getObjects = options.getObjects;
+
+  const menu = document.getElementById('export-menu');
+  const button = document.getElementById('btn-export');
+  if (!menu || !button) {
+    console.warn('Export menu not found');
+    return;
+  }
+
+  if (isListening) return;
+  isListening = true;
+
+  button.addEventListener('click', () => toggleExportMenu());
+
+  window.addEventListener('keydown', event => {
+    if (event.key === 'Escape' && !menu.hidden) toggleExportMenu(false);
+  });
+
+  // Clicking anywhere else closes the menu
+  document.addEventListener('pointerdown', event => {
+    if (!menu.hidden && !menu.contains(event.target) && !button.contains(event.target)) {
+      toggleExportMenu(false);
+    }
+  });
+}
+
+/**
+ * Show or hide the export menu
+ * @param {boolean} [visible] - Force a state; toggles when omitted
+ */
+export function toggleExportMenu(visible) {
+  const menu = document.getElementById('export-menu');
+  const button = document.getElementById('btn-export');
+  if (!menu) return;
+
+  const show = visible ?? menu.hidden;
+  if (show) renderExportMenu(menu);
+  menu.hidden = !show;
+  if (button) button.setAttribute('aria-expanded', String(show));
+}
+
+/**
+ * Rasterize the current 3D view (tiles and labels) to a PNG and download it
+ * @param {number} scale - Output size as a multiple of the on-screen view
+ */
+export async function exportPng(scale = 1) {
+  const container = document.getElementById('container');
+  if (!container) return;
+
+  const width = Math.min(MAX_CANVAS_SIZE, Math.round(container.clientWidth * scale));
+  const height = Math.min(MAX_CANVAS_SIZE, Math.round(container.clientHeight * scale));
+
+  // External photos would block the PNG; tiles show their generated avatar instead
+  imageSubstitutes = await loadImageSubstitutes();
+  let canvas;
+  try {
+    canvas = renderSceneToCanvas(width, height);
+  } finally {
+    imageSubstitutes = new Map();
+  }
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+  if (!blob) throw new Error('The browser could not encode the snapshot.');
+
+  downloadBlob(blob, `people-view-${dateStamp()}.png`);
+}
+
+/**
+ * Download the people as CSV or JSON with the parsed (normalized) fields, e.g. numeric netWorth
+ * @param {string} format - 'csv' or 'json'
+ * @param {Object} options - { filteredOnly } - only people matching the active filter
+ */
+export function exportData(format, { filteredOnly = true } = {}) {
+  const people = getExportPeople(filteredOnly);
+
+  if (format === 'json') {
+    const blob = new Blob([JSON.stringify(people, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `people-${dateStamp()}.json`);
+    return;
+  }
+
+  const blob = new Blob([toCsv(people)], { type: 'text/csv;charset=utf-8' });
+  downloadBlob(blob, `people-${dateStamp()}.csv`);
+}
+
+/**
+ * Render the export menu contents
+ * @param {HTMLElement} menu - Menu element
+ */
+function renderExportMenu(menu) {
+  const container = document.getElementById('container');
+  const viewWidth = container ? container.clientWidth : 0;
+  const viewHeight = container ? container.clientHeight : 0;
+  const filterActive = isFilterActive(getFilter());
+  const total = getObjects().length;
+
+  menu.innerHTML = `
+    <fieldset class="filter-group">
+      <legend>Snapshot (PNG)</legend>
+      <label class="settings-field">
+        <span>Resolution</span>
+        <select class="settings-select" data-export="scale">
+          ${PNG_SCALES.map(scale => `
+            <option value="${scale}">${scale}× - ${Math.min(MAX_CANVAS_SIZE, viewWidth * scale)} × ${Math.min(MAX_CANVAS_SIZE, viewHeight * scale)} px</option>
+          `).join('')}
+        </select>
+      </label>
+      <button type="button" class="modal-btn" data-action="png">Download PNG</button>
+    </fieldset>
+    <fieldset class="filter-group">
+      <legend>Data</legend>
+      <label class="filter-toggle">
+        <input type="checkbox" data-export="filtered" ${filterActive ? 'checked' : 'disabled'}>
+        Only people matching the filter${filterActive ? ` (${getExportPeople(true).length} of ${total})` : ''}
+      </label>
+      <div class="export-actions">
+        <button type="button" class="modal-btn" data-action="csv">Download CSV</button>
+        <button type="button" class="modal-btn" data-action="json">Download JSON</button>
+      </div>
+    </fieldset>
+  `;
+
+  const filteredOnly = () => menu.querySelector('[data-export="filtered"]').checked;
+
+  menu.querySelector('[data-action="png"]').addEventListener('click', async event => {
+    const button = event.currentTarget;
+    button.disabled = true;
+    try {
+      await exportPng(Number(menu.querySelector('[data-export="scale"]').value));
+    } catch (error) {
+      console.error('PNG export failed:', error);
+      alert(`Could not export the view: ${error.message}`);
+    } finally {
+      button.disabled = false;
+    }
+  });
+  menu.querySelector('[data-action="csv"]').addEventListener('click', () => exportData('csv', { filteredOnly: filteredOnly() }));
+  menu.querySelector('[data-action="json"]').addEventListener('click', () => exportData('json', { filteredOnly: filteredOnly() }));
+}
+
+/**
+ * People to export, as parsed (without tile bookkeeping)
+ * @param {boolean} filteredOnly - Only people matching the active filter
+ * @returns {Array<Object>} People
+ */
+function getExportPeople(filteredOnly) {
+  const filter = getFilter();
+  const applyFilter = filteredOnly && isFilterActive(filter);
+
+  return getObjects()
+    .map(object => object.userData)
+    .filter(person => !applyFilter || matchesFilter(person, filter))
+    .map(({ index, ...person }) => person);
+}
+
+/**
+ * Serialize people to CSV: tile fields by key, then every extra column by header
+ * @param {Array<Object>} people - People
+ * @returns {string} CSV text
+ */
+function toCsv(people) {
+  const tileKeys = TILE_FIELDS.map(field => field.key);
+  const extraKeys = [];
+  people.forEach(person => {
+    Object.keys(person.fields || {}).forEach(key => {
+      if (!extraKeys.includes(key) && !tileKeys.includes(key)) extraKeys.push(key);
+    });
+  });
+
+  const lines = [[...tileKeys, ...extraKeys].map(csvCell).join(',')];
+  people.forEach(person => {
+    const values = [
+      ...tileKeys.map(key => person[key]),
+      ...extraKeys.map(key => person.fields?.[key]),
+    ];
+    lines.push(values.map(csvCell).join(','));
+  });
+
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Quote a CSV cell when needed (RFC 4180)
+ * Text that would start a formula is prefixed with ' so spreadsheets show it as text; numbers are left as they are
+ * @param {*} value - Cell value
+ * @returns {string} Cell text
+ */
+function csvCell(value) {
+  let text = value == null ? '' : String(value);
+  const isNumber = typeof value === 'number' || (text.trim() !== '' && isFinite(Number(text)));
+  if (!isNumber && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Paint every visible CSS3D object onto a canvas with the current camera, far to near
+ * Each element's background, borders, text and same-origin images are drawn on the projected tile plane
+ * @param {number} width - Canvas width in pixels
+ * @param {number} height - Canvas height in pixels
+ * @returns {HTMLCanvasElement} Canvas
+ */
+function renderSceneToCanvas(width, height) {
+  const scene = getScene();
+  const camera = getCamera();
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = getComputedStyle(document.body).backgroundColor || '#000';
+  ctx.fillRect(0, 0, width, height);
+  if (!scene || !camera) return canvas;
+
+  scene.updateMatrixWorld();
+  camera.updateMatrixWorld();
+
+  const view = new THREE.Vector3();
+  const objects = scene.children
+    .filter(object => object.visible && object.layers.test(camera.layers) && object.element && object.element.isConnected)
+    .map(object => ({ object, depth: view.setFromMatrixPosition(object.matrixWorld).applyMatrix4(camera.matrixWorldInverse).z }))
+    .filter(entry => entry.depth < -camera.near)
+    .sort((a, b) => a.depth - b.depth);
+
+  objects.forEach(({ object }) => {
+    const project = createProjector(object, camera, width, height);
+    if (project) drawElement(ctx, object.element, object.element, project, 1);
+  });
+
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  return canvas;
+}
+
+/**
+ * Map points on an object's element (CSS pixels from its top-left) to canvas pixels
+ * @param {THREE.CSS3DObject} object - Object
+ * @param {THREE.PerspectiveCamera} camera - Camera
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {Function|null} (u, v) => { x, y }, or null if part of the element is behind the camera
+ */
+function createProjector(object, camera, width, height) {
+  const element = object.element;
+  const halfWidth = element.offsetWidth / 2;
+  const halfHeight = element.offsetHeight / 2;
+  const point = new THREE.Vector3();
+
+  const project = (u, v) => {
+    point.set(u - halfWidth, halfHeight - v, 0)
+      .applyMatrix4(object.matrixWorld)
+      .applyMatrix4(camera.matrixWorldInverse);
+    if (point.z >= -camera.near) return null;
+    point.applyMatrix4(camera.projectionMatrix);
+    return { x: ((point.x + 1) / 2) * width, y: ((1 - point.y) / 2) * height };
+  };
+
+  const corners = [[0, 0], [halfWidth * 2, 0], [0, halfHeight * 2], [halfWidth * 2, halfHeight * 2]];
+  return corners.every(([u, v]) => project(u, v)) ? project : null;
+}
+
+/**
+ * Draw an element and its descendants
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {HTMLElement} element - Element to draw
+ * @param {HTMLElement} root - The CSS3D object's element (origin of the projector)
+ * @param {Function} project - Projector from createProjector
+ * @param {number} parentOpacity - Accumulated opacity of the ancestors
+ */
+function drawElement(ctx, element, root, project, parentOpacity) {
+  const style = getComputedStyle(element);
+  if (style.display === 'none' || style.visibility === 'hidden') return;
+
+  const opacity = parentOpacity * Number(style.opacity || 1);
+  if (opacity <= 0) return;
+
+  const box = getOffsetBox(element, root);
+  ctx.globalAlpha = opacity;
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  drawBox(ctx, box, style, project);
+
+  if (element.tagName === 'IMG') {
+    drawImage(ctx, element, box, project);
+    return;
+  }
+
+  element.childNodes.forEach(node => {
+    if (node.nodeType === Node.TEXT_NODE && node.textContent.trim()) {
+      ctx.globalAlpha = opacity;
+      drawText(ctx, node.textContent.trim(), box, style, project);
+    } else if (node.nodeType === Node.ELEMENT_NODE) {
+      drawElement(ctx, node, root, project, opacity);
+    }
+  });
+}
+
+/**
+ * Fill the background and stroke the borders of an element box
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} box - { x, y, width, height } in element pixels
+ * @param {CSSStyleDeclaration} style - Computed style
+ * @param {Function} project - Projector
+ */
+function drawBox(ctx, box, style, project) {
+  const radius = parseRadius(style.borderTopLeftRadius, box);
+  const background = style.backgroundColor;
+
+  if (!isTransparent(background)) {
+    tracePath(ctx, box, radius, project);
+    ctx.fillStyle = background;
+    ctx.fill();
+  }
+
+  const sides = ['Top', 'Right', 'Bottom', 'Left'].map(side => ({
+    side,
+    width: parseFloat(style[`border${side}Width`]) || 0,
+    color: style[`border${side}Color`],
+    visible: style[`border${side}Style`] !== 'none',
+  }));
+  const drawn = sides.filter(side => side.visible && side.width > 0 && !isTransparent(side.color));
+  if (drawn.length === 0) return;
+
+  // Uniform borders follow the rounded outline; single sides (underlines) are drawn as strips
+  if (drawn.length === 4 && drawn.every(side => side.width === drawn[0].width && side.color === drawn[0].color)) {
+    const inset = drawn[0].width / 2;
+    const inner = { x: box.x + inset, y: box.y + inset, width: box.width - inset * 2, height: box.height - inset * 2 };
+    tracePath(ctx, inner, Math.max(0, radius - inset), project);
+    ctx.strokeStyle = drawn[0].color;
+    ctx.lineWidth = drawn[0].width * localScale(project, box.x + box.width / 2, box.y + box.height / 2);
+    ctx.stroke();
+    return;
+  }
+
+  drawn.forEach(({ side, width, color }) => {
+    const strip = {
+      Top: { x: box.x, y: box.y, width: box.width, height: width },
+      Bottom: { x: box.x, y: box.y + box.height - width, width: box.width, height: width },
+      Left: { x: box.x, y: box.y, width, height: box.height },
+      Right: { x: box.x + box.width - width, y: box.y, width, height: box.height },
+    }[side];
+    tracePath(ctx, strip, 0, project);
+    ctx.fillStyle = color;
+    ctx.fill();
+  });
+}
+
+/**
+ * Trace a (rounded) rectangle through the projector, so it is exact under perspective
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} box - { x, y, width, height }
+ * @param {number} radius - Corner radius in element pixels
+ * @param {Function} project - Projector
+ */
+function tracePath(ctx, box, radius, project) {
+  const r = Math.min(radius, box.width / 2, box.height / 2);
+  const corners = [
+    { cx: box.x + box.width - r, cy: box.y + r, start: -Math.PI / 2 },
+    { cx: box.x + box.width - r, cy: box.y + box.height - r, start: 0 },
+    { cx: box.x + r, cy: box.y + box.height - r, start: Math.PI / 2 },
+    { cx: box.x + r, cy: box.y + r, start: Math.PI },
+  ];
+
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.beginPath();
+  corners.forEach(corner => {
+    const segments = r > 0 ? CURVE_SEGMENTS : 0;
+    for (let i = 0; i <= segments; i++) {
+      const angle = corner.start + (i / CURVE_SEGMENTS) * (Math.PI / 2);
+      const point = project(corner.cx + r * Math.cos(angle), corner.cy + r * Math.sin(angle));
+      ctx.lineTo(point.x, point.y);
+    }
+  });
+  ctx.closePath();
+}
+
+/**
+ * Draw one line of text in an element's content box on the projected plane
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {string} text - Text
+ * @param {Object} box - Element box
+ * @param {CSSStyleDeclaration} style - Computed style of the text's parent
+ * @param {Function} project - Projector
+ */
+function drawText(ctx, text, box, style, project) {
+  const paddingLeft = parseFloat(style.paddingLeft) || 0;
+  const paddingRight = parseFloat(style.paddingRight) || 0;
+  const paddingTop = parseFloat(style.paddingTop) || 0;
+  const contentWidth = Math.max(1, box.width - paddingLeft - paddingRight);
+  const align = style.textAlign === 'center' ? 'center' : style.textAlign === 'right' || style.textAlign === 'end' ? 'right' : 'left';
+  const x = align === 'center' ? box.x + paddingLeft + contentWidth / 2 : align === 'right' ? box.x + box.width - paddingRight : box.x + paddingLeft;
+  const y = box.y + paddingTop;
+
+  setLocalTransform(ctx, project, x, y);
+  ctx.font = `${style.fontStyle} ${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
+  if ('letterSpacing' in ctx) ctx.letterSpacing = style.letterSpacing === 'normal' ? '0px' : style.letterSpacing;
+  ctx.fillStyle = style.color;
+  ctx.textAlign = align;
+  ctx.textBaseline = 'top';
+  ctx.fillText(applyTextTransform(text, style.textTransform), 0, 0, contentWidth);
+}
+
+/**
+ * Draw an image if it can be read back (same-origin, data: or blob:) - others would block the PNG,
+ * so tile photos from other sites are drawn as the tile's generated avatar
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {HTMLImageElement} image - Image element
+ * @param {Object} box - Element box
+ * @param {Function} project - Projector
+ */
+function drawImage(ctx, image, box, project) {
+  const source = isReadableImage(image) ? image : imageSubstitutes.get(image);
+  if (!source || !source.complete || source.naturalWidth === 0) return;
+
+  setLocalTransform(ctx, project, box.x, box.y);
+  ctx.drawImage(source, 0, 0, box.width, box.height);
+}
+
+/**
+ * Whether drawing an image keeps the canvas exportable
+ * @param {HTMLImageElement} image - Image element
+ * @returns {boolean} True for same-origin, data: and blob: images
+ */
+function isReadableImage(image) {
+  const url = new URL(image.currentSrc || image.src, window.location.href);
+  return url.origin === window.location.origin || url.protocol === 'data:' || url.protocol === 'blob:';
+}
+
+/**
+ * Load the generated avatar for every tile photo that can't be drawn
+ * @returns {Promise<Map>} Image element -> loaded replacement
+ */
+async function loadImageSubstitutes() {
+  const substitutes = new Map();
+  const avatars = new Map(); // data URI -> Image, shared by tiles with the same name
+  const loads = [];
+
+  getObjects().forEach(object => {
+    object.element.querySelectorAll('img').forEach(image => {
+      if (isReadableImage(image)) return;
+
+      const uri = getGeneratedAvatar(object.userData.name);
+      if (!avatars.has(uri)) {
+        const avatar = new Image();
+        avatar.src = uri;
+        avatars.set(uri, avatar);
+        loads.push(avatar.decode().catch(() => {}));
+      }
+      substitutes.set(image, avatars.get(uri));
+    });
+  });
+
+  await Promise.all(loads);
+  return substitutes;
+}
+
+/**
+ * Set the canvas transform to the projected element plane around a point (locally affine)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Function} project - Projector
+ * @param {number} u - Element x
+ * @param {number} v - Element y
+ */
+function setLocalTransform(ctx, project, u, v) {
+  const origin = project(u, v);
+  const right = project(u + 1, v);
+  const down = project(u, v + 1);
+  ctx.setTransform(right.x - origin.x, right.y - origin.y, down.x - origin.x, down.y - origin.y, origin.x, origin.y);
+}
+
+/**
+ * Canvas pixels per element pixel around a point
+ * @param {Function} project - Projector
+ * @param {number} u - Element x
+ * @param {number} v - Element y
+ * @returns {number} Scale
+ */
+function localScale(project, u, v) {
+  const origin = project(u, v);
+  const right = project(u + 1, v);
+  return Math.hypot(right.x - origin.x, right.y - origin.y);
+}
+
+/**
+ * Element box relative to the CSS3D object's element (layout offsets ignore CSS transforms)
+ * @param {HTMLElement} element - Element
+ * @param {HTMLElement} root - Object element
+ * @returns {Object} { x, y, width, height }
+ */
+function getOffsetBox(element, root) {
+  let x = 0;
+  let y = 0;
+  let current = element;
+  while (current && current !== root) {
+    x += current.offsetLeft;
+    y += current.offsetTop;
+    current = current.offsetParent;
+  }
+  return { x, y, width: element.offsetWidth, height: element.offsetHeight };
+}
+
+/**
+ * Corner radius in pixels ("10px" or "50%")
+ * @param {string} value - Computed border radius
+ * @param {Object} box - Element box
+ * @returns {number} Radius
+ */
+function parseRadius(value, box) {
+  const radius = parseFloat(value) || 0;
+  return String(value).trim().endsWith('%') ? (Math.min(box.width, box.height) * radius) / 100 : radius;
+}
+
+/**
+ * Whether a computed color is fully transparent
+ * @param {string} color - Computed color
+ * @returns {boolean} True if nothing would be painted
+ */
+function isTransparent(color) {
+  return !color || color === 'transparent' || /rgba\(.*,\s*0\)$/.test(color);
+}
+
+/**
+ * Apply CSS text-transform
+ * @param {string} text - Text
+ * @param {string} transform - Computed text-transform
+ * @returns {string} Transformed text
+ */
+function applyTextTransform(text, transform) {
+  if (transform === 'uppercase') return text.toUpperCase();
+  if (transform === 'lowercase') return text.toLowerCase();
+  return text;
+}
+
+/**
+ * Save a blob through a temporary download link
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Today's date for file names
+ * @returns {string} YYYY-MM-DD
+ */
+function dateStamp() {
+  return new Date().toISOString().slice(0, 10);
+}
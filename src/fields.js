@@ -0,0 +1,98 @@
+// Field helpers - tile fields (name, netWorth, ...) plus every unmapped sheet column
+import { TILE_FIELDS } from './mapping.js';
+import { toNumber } from './formats.js';
+
+// Built-in fields that hold numbers even though some are stored as text
+const NUMERIC_TILE_FIELDS = ['age', 'netWorth'];
+
+// Numbers computed from other fields
+const DERIVED_FIELDS = {
+  wealthIndex: {
+    label: 'Wealth index (net worth ÷ age)',
+    value: person => {
+      const netWorth = toNumber(person.netWorth);
+      const age = toNumber(person.age);
+      return !isNaN(netWorth) && age > 0 ? Math.round(netWorth / age) : null;
+    },
+  },
+};
+
+// Share of non-empty values that must be numeric for a column to count as numeric
+const NUMERIC_THRESHOLD = 0.8;
+
+// Keys read straight off the person object; anything else is looked up in person.fields
+const TILE_FIELD_KEYS = TILE_FIELDS.map(field => field.key);
+
+/**
+ * Read a field from a person: a tile field, an extra column by header, or a derived field
+ * A sheet column wins over a derived field of the same name (as in listFields)
+ * @param {Object} person - Person object
+ * @param {string} key - Tile field key, original column header or derived field key
+ * @returns {*} Value, or null if missing
+ */
+export function getFieldValue(person, key) {
+  if (!person || !key) return null;
+  if (TILE_FIELD_KEYS.includes(key)) return Object.hasOwn(person, key) ? person[key] : null;
+  if (person.fields && Object.hasOwn(person.fields, key)) return person.fields[key] ?? null;
+  if (DERIVED_FIELDS[key]) return DERIVED_FIELDS[key].value(person);
+  return null;
+}
+
+/**
+ * Human-readable label for a field key
+ * @param {string} key - Tile field key, derived field key or original column header
+ * @returns {string} Label (extra columns are labeled by their header)
+ */
+export function getFieldLabel(key) {
+  const tileField = TILE_FIELDS.find(field => field.key === key);
+  if (tileField) return tileField.label;
+  if (DERIVED_FIELDS[key]) return DERIVED_FIELDS[key].label;
+  return key;
+}
+
+/**
+ * List every field available on the loaded people
+ * @param {Array} people - Array of person objects
+ * @returns {Array<Object>} [{ key, label, type: 'number'|'text' }]
+ */
+export function listFields(people) {
+  const fields = TILE_FIELDS.map(field => ({
+    key: field.key,
+    label: field.label,
+    type: NUMERIC_TILE_FIELDS.includes(field.key) ? 'number' : 'text',
+  }));
+
+  const extraKeys = [];
+  people.forEach(person => {
+    Object.keys(person.fields || {}).forEach(key => {
+      if (!extraKeys.includes(key)) extraKeys.push(key);
+    });
+  });
+
+  extraKeys.forEach(key => {
+    fields.push({ key, label: key, type: detectFieldType(people, key) });
+  });
+
+  Object.entries(DERIVED_FIELDS).forEach(([key, derived]) => {
+    if (!extraKeys.includes(key)) fields.push({ key, label: derived.label, type: 'number' });
+  });
+
+  return fields;
+}
+
+/**
+ * Detect whether a field holds numbers or text
+ * @param {Array} people - Array of person objects
+ * @param {string} key - Field key
+ * @returns {string} 'number' or 'text'
+ */
+function detectFieldType(people, key) {
+  const values = people
+    .map(person => getFieldValue(person, key))
+    .filter(value => value != null && value !== '');
+
+  if (values.length === 0) return 'text';
+
+  const numeric = values.filter(value => !isNaN(toNumber(value))).length;
+  return numeric / values.length >= NUMERIC_THRESHOLD ? 'number' : 'text';
+}
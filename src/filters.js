@@ -0,0 +1,280 @@
+// Search and filters - fuzzy name search plus country/interest facets and age/net worth ranges
+import { toNumber } from './formats.js';
+
+export const DEFAULT_FILTER = {
+  query: '',
+  countries: [],
+  interests: [],
+  ageMin: null,
+  ageMax: null,
+  netWorthMin: null,
+  netWorthMax: null,
+  collapse: false,
+};
+
+// Facet checkbox lists shown in the panel
+const FACETS = [
+  { key: 'countries', field: 'country', label: 'Country' },
+  { key: 'interests', field: 'interest', label: 'Interest' },
+];
+
+// Numeric ranges shown in the panel
+const RANGES = [
+  { field: 'age', label: 'Age', min: 'ageMin', max: 'ageMax' },
+  { field: 'netWorth', label: 'Net worth', min: 'netWorthMin', max: 'netWorthMax' },
+];
+
+let currentFilter = { ...DEFAULT_FILTER };
+let onFilterChange = null;
+let panelPeople = [];
+
+/**
+ * Fuzzy match a query against text
+ * Every query character must appear in order; whole-substring matches always pass
+ * @param {string} query - Search text
+ * @param {string} text - Text to search in
+ * @returns {boolean} True if the text matches
+ */
+export function fuzzyMatch(query, text) {
+  const needle = String(query || '').toLowerCase().replace(/\s+/g, '');
+  const haystack = String(text || '').toLowerCase();
+  if (!needle) return true;
+  if (haystack.replace(/\s+/g, '').includes(needle)) return true;
+
+  let position = 0;
+  for (const char of needle) {
+    position = haystack.indexOf(char, position);
+    if (position === -1) return false;
+    position++;
+  }
+  return true;
+}
+
+/**
+ * Check whether any filter criterion is set
+ * @param {Object} filter - Filter state
+ * @returns {boolean} True if the filter can exclude someone
+ */
+export function isFilterActive(filter) {
+  return Boolean(
+    filter.query.trim() ||
+    filter.countries.length ||
+    filter.interests.length ||
+    RANGES.some(range => filter[range.min] != null || filter[range.max] != null)
+  );
+}
+
+/**
+ * Check whether a person passes the filter
+ * @param {Object} person - Person object
+ * @param {Object} filter - Filter state
+ * @returns {boolean} True if the person matches
+ */
+export function matchesFilter(person, filter) {
+  if (!fuzzyMatch(filter.query, person.name)) return false;
+
+  const facetMiss = FACETS.some(facet => {
+    const selected = filter[facet.key];
+    return selected.length > 0 && !selected.includes(facetValue(person, facet.field));
+  });
+  if (facetMiss) return false;
+
+  return RANGES.every(range => {
+    const min = filter[range.min];
+    const max = filter[range.max];
+    if (min == null && max == null) return true;
+
+    const value = toNumber(person[range.field]);
+    if (isNaN(value)) return false;
+    return (min == null || value >= min) && (max == null || value <= max);
+  });
+}
+
+/**
+ * Facet value for a person (empty values are grouped as "Unknown")
+ */
+function facetValue(person, field) {
+  const value = person[field];
+  return value == null || String(value).trim() === '' ? 'Unknown' : String(value).trim();
+}
+
+/**
+ * Get the active filter
+ * @returns {Object} Filter state
+ */
+export function getFilter() {
+  return currentFilter;
+}
+
+/**
+ * Initialize (or refresh) the filter panel for the loaded people
+ * @param {Array} people - Array of person objects (facet values come from here)
+ * @param {Function} onChange - Called with the new filter state whenever it changes
+ */
+export function initFilterPanel(people, onChange) {
+  const panel = document.getElementById('filter-panel');
+  if (!panel) {
+    console.warn('Filter panel not found');
+    return;
+  }
+
+  onFilterChange = onChange;
+
+  panel.innerHTML = `
+    <div class="panel-header">
+      <h2>Search &amp; filter</h2>
+      <button type="button" class="panel-close" data-action="close" aria-label="Close filters">×</button>
+    </div>
+    <input type="search" class="filter-search" data-filter="query" placeholder="Search by name…" aria-label="Search by name">
+    <div class="filter-count" aria-live="polite"></div>
+    ${RANGES.map(range => `
+      <fieldset class="filter-group">
+        <legend>${range.label}</legend>
+        <div class="filter-range">
+          <input type="number" data-filter="${range.min}" placeholder="Min" aria-label="${range.label} minimum">
+          <span>–</span>
+          <input type="number" data-filter="${range.max}" placeholder="Max" aria-label="${range.label} maximum">
+        </div>
+      </fieldset>
+    `).join('')}
+    ${FACETS.map(facet => `
+      <fieldset class="filter-group">
+        <legend>${facet.label}</legend>
+        <div class="filter-facet" data-facet="${facet.key}"></div>
+      </fieldset>
+    `).join('')}
+    <label class="filter-toggle">
+      <input type="checkbox" data-filter="collapse"> Show only matches in the layout
+    </label>
+    <button type="button" class="modal-btn" data-action="clear">Clear filters</button>
+  `;
+
+  refreshFacetValues(people);
+
+  const searchInput = panel.querySelector('[data-filter="query"]');
+  searchInput.value = currentFilter.query;
+  searchInput.addEventListener('input', () => updateFilter({ query: searchInput.value }));
+
+  RANGES.forEach(range => {
+    [range.min, range.max].forEach(key => {
+      const input = panel.querySelector(`[data-filter="${key}"]`);
+      input.value = currentFilter[key] ?? '';
+      input.addEventListener('change', () => {
+        updateFilter({ [key]: input.value === '' ? null : Number(input.value) });
+      });
+    });
+  });
+
+  const collapseInput = panel.querySelector('[data-filter="collapse"]');
+  collapseInput.checked = currentFilter.collapse;
+  collapseInput.addEventListener('change', () => updateFilter({ collapse: collapseInput.checked }));
+
+  panel.querySelector('[data-action="clear"]').addEventListener('click', () => {
+    currentFilter = { ...DEFAULT_FILTER, collapse: currentFilter.collapse };
+    initFilterPanel(panelPeople, onChange);
+    notifyChange();
+  });
+
+  panel.querySelector('[data-action="close"]').addEventListener('click', () => toggleFilterPanel(false));
+}
+
+/**
+ * Re-render only the facet checkbox lists for new people (e.g. after live sync or a currency change)
+ * The rest of the panel is left alone, so a search being typed keeps its text, focus and caret
+ * @param {Array} people - Array of person objects (facet values come from here)
+ */
+export function refreshFacetValues(people) {
+  panelPeople = people;
+
+  // Drop facet selections whose value no longer exists (e.g. after live sync)
+  FACETS.forEach(facet => {
+    const values = new Set(people.map(person => facetValue(person, facet.field)));
+    currentFilter[facet.key] = currentFilter[facet.key].filter(value => values.has(value));
+  });
+
+  const panel = document.getElementById('filter-panel');
+  if (!panel) return;
+
+  // Facet checkboxes, most common values first
+  FACETS.forEach(facet => {
+    const container = panel.querySelector(`[data-facet="${facet.key}"]`);
+    container.innerHTML = '';
+    const counts = new Map();
+    people.forEach(person => {
+      const value = facetValue(person, facet.field);
+      counts.set(value, (counts.get(value) || 0) + 1);
+    });
+
+    Array.from(counts.entries())
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .forEach(([value, count]) => {
+        const label = document.createElement('label');
+        label.className = 'filter-option';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = value;
+        checkbox.checked = currentFilter[facet.key].includes(value);
+        checkbox.addEventListener('change', () => {
+          const selected = currentFilter[facet.key].filter(v => v !== value);
+          if (checkbox.checked) selected.push(value);
+          updateFilter({ [facet.key]: selected });
+        });
+        label.append(checkbox, ` ${value} (${count})`);
+        container.appendChild(label);
+      });
+  });
+}
+
+/**
+ * Replace the whole filter (e.g. from a permalink), refresh the panel and notify listeners
+ * @param {Object} filter - Partial filter state; missing criteria are cleared
+ */
+export function setFilter(filter) {
+  currentFilter = { ...DEFAULT_FILTER, ...filter };
+  if (onFilterChange) {
+    initFilterPanel(panelPeople, onFilterChange);
+  }
+  notifyChange();
+}
+
+/**
+ * Show or hide the filter panel
+ * @param {boolean} [visible] - Force a state; toggles when omitted
+ */
+export function toggleFilterPanel(visible) {
+  const panel = document.getElementById('filter-panel');
+  if (!panel) return;
+
+  const show = visible ?? panel.hidden;
+  panel.hidden = !show;
+  if (show) {
+    const searchInput = panel.querySelector('[data-filter="query"]');
+    if (searchInput) searchInput.focus();
+  }
+}
+
+/**
+ * Show how many tiles match
+ * @param {number} matched - Matching tiles
+ * @param {number} total - All tiles
+ */
+export function setFilterCount(matched, total) {
+  const count = document.querySelector('#filter-panel .filter-count');
+  if (count) {
+    count.textContent = matched === total ? `${total} tiles` : `${matched} of ${total} tiles match`;
+  }
+}
+
+/**
+ * Merge changes into the filter and notify listeners
+ * @param {Object} changes - Partial filter state
+ */
+function updateFilter(changes) {
+  currentFilter = { ...currentFilter, ...changes };
+  notifyChange();
+}
+
+function notifyChange() {
+  if (onFilterChange) onFilterChange(currentFilter);
+  window.dispatchEvent(new CustomEvent('viewStateChanged'));
+}
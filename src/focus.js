@@ -0,0 +1,202 @@
+// Tile focus - click a tile to fly the camera to it and open a detail card
+import * as THREE from 'three';
+import { getCamera, getCameraView, flyCameraTo } from './scene.js';
+import { escapeHtml, formatCurrency, formatCompactCurrency } from './formats.js';
+import { TILE_FIELDS } from './mapping.js';
+import { normalizeImageUrl, getAvatarSrc, loadImage, needsLoading, keepAvatarFallback } from './avatars.js';
+
+const CLICK_TOLERANCE = 5; // pixels the pointer may move before a click counts as a drag
+const FOCUS_FILL = 0.6; // Share of the view height the focused tile should fill
+const TILE_HEIGHT = 160; // Fallback when the tile has not been laid out yet (matches .tile in styles.css)
+
+let focusedObject = null;
+let previousView = null;
+let pointerStart = null;
+let getObjects = () => [];
+let getOrderedObjects = () => [];
+let getLayoutTarget = () => null;
+let isListening = false;
+
+/**
+ * Enable click-to-focus on tiles
+ * @param {Object} options - { getObjects, getOrderedObjects, getLayoutTarget } - all tiles, tiles in navigation order,
+ *   and where the layout places a tile (so focusing during a layout transition aims at the tile's destination)
+ */
+export function initTileFocus(options) {
+  const container = document.getElementById('container');
+  if (!container) {
+    console.warn('Container not found for tile focus');
+    return;
+  }
+
+  getObjects = options.getObjects;
+  getOrderedObjects = options.getOrderedObjects;
+  getLayoutTarget = options.getLayoutTarget || (() => null);
+
+  // Listeners outlive a sign-out; only the data getters change when the app starts again
+  if (isListening) return;
+  isListening = true;
+
+  // OrbitControls captures the pointer, so remember the tile under pointerdown
+  container.addEventListener('pointerdown', event => {
+    const tileElement = event.target.closest('.tile');
+    pointerStart = { x: event.clientX, y: event.clientY, tileElement };
+  }, true);
+
+  container.addEventListener('pointerup', event => {
+    if (!pointerStart || !pointerStart.tileElement) return;
+
+    const moved = Math.hypot(event.clientX - pointerStart.x, event.clientY - pointerStart.y);
+    const tileElement = pointerStart.tileElement;
+    pointerStart = null;
+    if (moved > CLICK_TOLERANCE) return;
+
+    const object = getObjects().find(candidate => candidate.element === tileElement);
+    if (object) focusTile(object);
+  });
+
+  window.addEventListener('keydown', event => {
+    if (event.key === 'Escape' && focusedObject) {
+      clearFocus();
+    }
+  });
+}
+
+/**
+ * Fly the camera to a tile and show its details
+ * @param {THREE.CSS3DObject} object - Tile to focus
+ */
+export function focusTile(object) {
+  if (!object) return;
+
+  // Remember where we came from only when entering focus, so Escape returns to the original view
+  if (!focusedObject) {
+    previousView = getCameraView();
+  }
+
+  if (focusedObject) focusedObject.element.classList.remove('tile-focused');
+  focusedObject = object;
+  object.element.classList.add('tile-focused');
+
+  // Aim at where the layout puts the tile: right after a layout change (e.g. a shared link opening)
+  // the tile is still tweening there and its own position is stale
+  const placement = getLayoutTarget(object) || object;
+
+  // Tiles face along their local +Z axis; back off along it until the tile fills the view
+  const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(placement.quaternion);
+  const tileHeight = object.element.offsetHeight || TILE_HEIGHT;
+  const distance = (tileHeight / FOCUS_FILL / 2) / Math.tan(THREE.MathUtils.degToRad(getCamera().fov / 2));
+  const target = placement.position.clone();
+  const position = target.clone().addScaledVector(normal, distance);
+
+  flyCameraTo({ position, target });
+  renderDetailPanel(object);
+  window.dispatchEvent(new CustomEvent('viewStateChanged'));
+}
+
+/**
+ * Close the detail card and return the camera to the view before focusing
+ * @param {Object} options - { restoreView } - false leaves the camera where it is
+ */
+export function clearFocus({ restoreView = true } = {}) {
+  if (!focusedObject) return;
+
+  focusedObject.element.classList.remove('tile-focused');
+  focusedObject = null;
+
+  const panel = document.getElementById('detail-panel');
+  if (panel) panel.hidden = true;
+
+  if (previousView && restoreView) {
+    flyCameraTo(previousView);
+  }
+  previousView = null;
+  window.dispatchEvent(new CustomEvent('viewStateChanged'));
+}
+
+/**
+ * Get the focused tile
+ * @returns {THREE.CSS3DObject|null} Focused tile
+ */
+export function getFocusedObject() {
+  return focusedObject;
+}
+
+/**
+ * Focus the next/previous tile in navigation order
+ * @param {number} step - +1 for next, -1 for previous
+ */
+function focusSibling(step) {
+  const ordered = getOrderedObjects();
+  if (!focusedObject || ordered.length === 0) return;
+
+  const index = ordered.indexOf(focusedObject);
+  const nextIndex = index === -1 ? 0 : (index + step + ordered.length) % ordered.length;
+  focusTile(ordered[nextIndex]);
+}
+
+/**
+ * Render every field of the focused person into the detail panel
+ * @param {THREE.CSS3DObject} object - Focused tile
+ */
+function renderDetailPanel(object) {
+  const panel = document.getElementById('detail-panel');
+  if (!panel) return;
+
+  const person = object.userData;
+  const ordered = getOrderedObjects();
+  const position = ordered.indexOf(object);
+  const imageUrl = normalizeImageUrl(person.imageUrl);
+
+  const rows = TILE_FIELDS
+    .filter(field => field.key !== 'name' && field.key !== 'imageUrl')
+    .map(field => [field.label, field.key === 'netWorth' ? formatNetWorth(person) : person[field.key]])
+    .concat(Object.entries(person.fields || {}));
+
+  panel.innerHTML = `
+    <div class="panel-header">
+      <h2>${escapeHtml(person.name)}</h2>
+      <button type="button" class="panel-close" data-action="close" aria-label="Close details">×</button>
+    </div>
+    <img class="detail-photo" referrerpolicy="no-referrer" alt="${escapeHtml(person.name)}">
+    <dl class="detail-fields">
+      ${rows.map(([label, value]) => `
+        <dt>${escapeHtml(label)}</dt>
+        <dd>${escapeHtml(value == null || value === '' ? '—' : value)}</dd>
+      `).join('')}
+    </dl>
+    <div class="detail-nav">
+      <button type="button" class="modal-btn" data-action="previous">‹ Prev</button>
+      <span class="detail-position">${position === -1 ? '' : `${position + 1} / ${ordered.length}`}</span>
+      <button type="button" class="modal-btn" data-action="next">Next ›</button>
+    </div>
+  `;
+
+  panel.querySelector('[data-action="close"]').addEventListener('click', () => clearFocus());
+  panel.querySelector('[data-action="previous"]').addEventListener('click', () => focusSibling(-1));
+  panel.querySelector('[data-action="next"]').addEventListener('click', () => focusSibling(1));
+  panel.hidden = false;
+
+  // The photo URL comes straight from the sheet, so it is set as a property rather than written into markup
+  const photo = panel.querySelector('.detail-photo');
+  keepAvatarFallback(photo, person.name);
+  photo.src = getAvatarSrc(imageUrl, person.name);
+
+  // The tile's photo may still be queued; load it now and swap it in if this card is still open
+  if (needsLoading(imageUrl)) {
+    loadImage(imageUrl).then(loaded => {
+      if (loaded && photo.isConnected) photo.src = imageUrl;
+    });
+  }
+}
+
+/**
+ * Net worth in the display currency, with the amount as written in the sheet when it was converted
+ * @param {Object} person - Person object
+ * @returns {string} e.g. "$1,304,348 (€1.2M)"
+ */
+function formatNetWorth(person) {
+  const original = person.netWorthOriginal;
+  const converted = formatCurrency(person.netWorth);
+  return original ? `${converted} (${formatCompactCurrency(original.amount, original.currency)})` : converted;
+}
@@ -0,0 +1,157 @@
+// Value format helpers shared by tile templates and panels
+import { parseAmount, getDisplayCurrency, getNumberLocale } from './currency.js';
+
+// Characters escapeHtml replaces (quotes too, so escaped text is safe inside attribute values)
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Formats selectable in a tile template
+// Numeric formats fall back to the raw text when a value is not a number
+export const FORMATS = {
+  text: { label: 'Text', format: value => String(value) },
+  initials: { label: 'Initials', format: value => getInitials(String(value)) },
+  compact: { label: 'Compact (1.2K)', numeric: true, format: formatCompact },
+  number: { label: 'Number', numeric: true, format: formatNumber },
+  currency: { label: 'Currency', numeric: true, format: formatCurrency },
+  percent: { label: 'Percent', numeric: true, format: formatPercent },
+  date: { label: 'Date', format: value => formatDate(value) },
+};
+
+/**
+ * Format a value with a named format
+ * @param {*} value - Raw value (number or string)
+ * @param {string} format - Key of FORMATS (defaults to text)
+ * @returns {string} Formatted value, or '' for empty values
+ */
+export function formatValue(value, format = 'text') {
+  if (value == null || value === '') return '';
+  const formatter = FORMATS[format] || FORMATS.text;
+
+  if (formatter.numeric) {
+    const number = toNumber(value);
+    return isNaN(number) ? String(value) : formatter.format(number);
+  }
+
+  return formatter.format(value);
+}
+
+/**
+ * Coerce a raw cell value into a number - understands currency symbols and codes, K/M/B suffixes,
+ * either decimal separator and a trailing % (amounts are not converted between currencies)
+ * @param {*} value - Raw value
+ * @returns {number} Parsed number, or NaN if not numeric
+ */
+export function toNumber(value) {
+  if (typeof value === 'number') return value;
+  const parsed = parseAmount(String(value ?? '').replace(/%\s*$/, ''));
+  return parsed ? parsed.amount : NaN;
+}
+
+/**
+ * Get initials from a name (up to 2 characters)
+ * @param {string} name - Full name
+ * @returns {string} Initials
+ */
+export function getInitials(name) {
+  if (!name) return '';
+  const parts = name.trim().split(/\s+/);
+  if (parts.length === 1) {
+    return parts[0].slice(0, 2).toUpperCase();
+  }
+  return (parts[0][0] + parts[1][0]).toUpperCase();
+}
+
+/**
+ * Format number with commas
+ * @param {number} num - Number to format
+ * @returns {string} Formatted number string
+ */
+export function formatNumber(num) {
+  const number = Number(num) || 0;
+  return number.toLocaleString(getNumberLocale(), {
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  });
+}
+
+/**
+ * Format number into compact form (e.g., 123.4K, 1.2M - or 1,2 Mio. in German)
+ * @param {number} num - Number to format
+ * @returns {string} Formatted number string
+ */
+export function formatCompact(num) {
+  const number = Number(num) || 0;
+  return number.toLocaleString(getNumberLocale(), {
+    notation: 'compact',
+    maximumFractionDigits: 1,
+  });
+}
+
+/**
+ * Format number as currency in the display currency (e.g., $1,234)
+ * @param {number} num - Number to format
+ * @returns {string} Formatted currency string
+ */
+export function formatCurrency(num) {
+  const number = Number(num) || 0;
+  return number.toLocaleString(getNumberLocale(), {
+    style: 'currency',
+    currency: getDisplayCurrency(),
+    maximumFractionDigits: 0,
+  });
+}
+
+/**
+ * Format number as compact currency in the display currency (e.g., $1.2M, €450K)
+ * @param {number} num - Number to format
+ * @param {string} [currency] - ISO code (defaults to the display currency)
+ * @returns {string} Formatted currency string
+ */
+export function formatCompactCurrency(num, currency = getDisplayCurrency()) {
+  const number = Number(num) || 0;
+  return number.toLocaleString(getNumberLocale(), {
+    style: 'currency',
+    currency,
+    notation: 'compact',
+    maximumFractionDigits: 1,
+  });
+}
+
+/**
+ * Format number as percent
+ * Values above 1 are treated as already being percentages (e.g. 45 -> 45%)
+ * @param {number} num - Number to format
+ * @returns {string} Formatted percent string
+ */
+export function formatPercent(num) {
+  const number = Number(num) || 0;
+  const ratio = Math.abs(number) > 1 ? number / 100 : number;
+  return ratio.toLocaleString(getNumberLocale(), {
+    style: 'percent',
+    maximumFractionDigits: 1,
+  });
+}
+
+/**
+ * Format a date value (ISO string, sheet date text or timestamp)
+ * @param {*} value - Raw date value
+ * @returns {string} Formatted date, or the raw value if it cannot be parsed
+ */
+export function formatDate(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return String(value);
+  return date.toLocaleDateString(getNumberLocale(), {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+}
+
+/**
+ * Escape HTML to prevent XSS - safe in text and in quoted attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped HTML
+ */
+export function escapeHtml(text) {
+  if (text == null) return '';
+  return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
@@ -0,0 +1,206 @@
+// Globe layout - tiles clustered on a sphere at their country's latitude/longitude
+import * as THREE from 'three';
+import { registerLayout } from './registry.js';
+import { LAYOUT_CONSTANTS } from './layouts.js';
+import { lookupCountry } from './countries.js';
+import { compareByField } from './sorting.js';
+
+const UNKNOWN_CLUSTER = { label: 'Unknown', lat: -65, lon: 0 }; // Southern ocean, facing the default view
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+const GRATICULE_STEP = 30; // degrees between graticule lines
+const GRATICULE_INSET = 0.97; // Graticule sits just under the tiles
+const SEPARATION_ITERATIONS = 20; // Passes that push overlapping neighbour clusters apart
+
+/**
+ * Point on the sphere for a latitude/longitude (longitude 0 faces the default camera)
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {number} radius - Sphere radius
+ * @returns {THREE.Vector3} Position
+ */
+function toSurface(lat, lon, radius) {
+  const phi = THREE.MathUtils.degToRad(lat);
+  const lambda = THREE.MathUtils.degToRad(lon);
+  return new THREE.Vector3(
+    radius * Math.cos(phi) * Math.sin(lambda),
+    radius * Math.sin(phi),
+    radius * Math.cos(phi) * Math.cos(lambda)
+  );
+}
+
+/**
+ * Globe layout: one cluster per country at its centroid, spread in a sunflower pattern
+ * so tiles from the same country do not stack; unrecognized countries share an "Unknown" cluster
+ * @param {Array<Object>} items - Person objects
+ * @param {Object} params - { packing, minRadius, clusterSpacing, graticule }
+ * @param {Object} options - { sortBy, sortDirection } orders tiles from the cluster center outward
+ * @returns {Object} { targets, labels, order }
+ */
+function generateGlobeLayout(items, params, options) {
+  const { WIDTH, HEIGHT } = LAYOUT_CONSTANTS.TILE;
+  const radius = Math.max(params.minRadius, Math.sqrt((items.length * WIDTH * HEIGHT * params.packing) / (4 * Math.PI)));
+
+  // Sunflower spacing: each tile gets about one (scaled) tile of area
+  const spread = (Math.max(WIDTH, HEIGHT) * params.clusterSpacing) / Math.sqrt(Math.PI);
+
+  const clusters = new Map();
+  items.forEach((item, index) => {
+    const country = lookupCountry(item.country);
+    const key = country ? country.code : UNKNOWN_CLUSTER.label;
+    if (!clusters.has(key)) {
+      clusters.set(key, country
+        ? { label: country.name, lat: country.lat, lon: country.lon, indices: [] }
+        : { ...UNKNOWN_CLUSTER, indices: [] });
+    }
+    clusters.get(key).indices.push(index);
+  });
+
+  // Neighbouring countries (e.g. Malaysia and Singapore) would overlap; nudge them apart
+  const clusterList = Array.from(clusters.values());
+  clusterList.forEach(cluster => {
+    cluster.direction = toSurface(cluster.lat, cluster.lon, 1);
+    cluster.extent = spread * Math.sqrt(cluster.indices.length) + Math.max(WIDTH, HEIGHT) / 2;
+  });
+  separateClusters(clusterList, radius);
+
+  const compare = options.sortBy ? compareByField(options.sortBy, options.sortDirection) : null;
+  const targets = [];
+  const order = [];
+  const labels = [];
+
+  clusterList.forEach(cluster => {
+    if (compare) {
+      cluster.indices.sort((a, b) => compare(items[a], items[b]) || a - b);
+    }
+
+    // Tangent frame at the cluster center (east falls back to +x at the poles)
+    const center = cluster.direction.clone().multiplyScalar(radius);
+    const normal = cluster.direction.clone();
+    const east = new THREE.Vector3(0, 1, 0).cross(normal);
+    if (east.lengthSq() < 1e-6) east.set(1, 0, 0);
+    east.normalize();
+    const north = normal.clone().cross(east).normalize();
+
+    cluster.indices.forEach((itemIndex, k) => {
+      const distance = spread * Math.sqrt(k);
+      const angle = k * GOLDEN_ANGLE;
+      const position = center.clone()
+        .addScaledVector(east, distance * Math.cos(angle))
+        .addScaledVector(north, distance * Math.sin(angle))
+        .setLength(radius);
+
+      // Tiles face outward so they read from outside the globe
+      const target = new THREE.Object3D();
+      target.position.copy(position);
+      target.lookAt(position.clone().multiplyScalar(2));
+      targets.push(target);
+      order.push(itemIndex);
+    });
+
+    // Country label just above (north of) the cluster
+    const clusterRadius = spread * Math.sqrt(cluster.indices.length);
+    const labelPosition = center.clone().addScaledVector(north, clusterRadius + HEIGHT).setLength(radius);
+    const label = new THREE.Object3D();
+    label.position.copy(labelPosition);
+    label.lookAt(labelPosition.clone().multiplyScalar(2));
+    labels.push({
+      text: `${cluster.label} (${cluster.indices.length})`,
+      position: { x: labelPosition.x, y: labelPosition.y, z: labelPosition.z },
+      rotation: { x: label.rotation.x, y: label.rotation.y, z: label.rotation.z },
+      className: 'group-label',
+    });
+  });
+
+  if (params.graticule) {
+    labels.push(...graticuleLines(radius * GRATICULE_INSET));
+  }
+
+  return { targets, labels, order };
+}
+
+/**
+ * Push overlapping clusters apart along great circles until neighbours just touch
+ * @param {Array<Object>} clusters - [{ direction: unit THREE.Vector3, extent: world units }], directions updated in place
+ * @param {number} radius - Globe radius
+ */
+function separateClusters(clusters, radius) {
+  for (let iteration = 0; iteration < SEPARATION_ITERATIONS; iteration++) {
+    let moved = false;
+
+    for (let i = 0; i < clusters.length; i++) {
+      for (let j = i + 1; j < clusters.length; j++) {
+        const a = clusters[i];
+        const b = clusters[j];
+        const needed = (a.extent + b.extent) / radius;
+        const angle = a.direction.angleTo(b.direction);
+        if (angle >= needed) continue;
+
+        // Rotate both away from each other about the axis of their great circle
+        const axis = new THREE.Vector3().crossVectors(a.direction, b.direction);
+        if (axis.lengthSq() < 1e-9) {
+          axis.set(0, 1, 0).cross(a.direction);
+          if (axis.lengthSq() < 1e-9) axis.set(1, 0, 0);
+        }
+        axis.normalize();
+
+        const push = (needed - angle) / 2;
+        a.direction.applyAxisAngle(axis, -push);
+        b.direction.applyAxisAngle(axis, push);
+        moved = true;
+      }
+    }
+
+    if (!moved) break;
+  }
+}
+
+/**
+ * Wireframe meridians and parallels as circular CSS3D outlines
+ * @param {number} radius - Graticule radius
+ * @returns {Array<Object>} Label definitions (see labels.js)
+ */
+function graticuleLines(radius) {
+  const lines = [];
+
+  // Each meridian circle covers two opposite longitudes
+  for (let lon = 0; lon < 180; lon += GRATICULE_STEP) {
+    lines.push({
+      text: '',
+      position: { x: 0, y: 0, z: 0 },
+      rotation: { x: 0, y: THREE.MathUtils.degToRad(lon), z: 0 },
+      className: 'graticule-line',
+      style: { width: `${radius * 2}px`, height: `${radius * 2}px` },
+    });
+  }
+
+  for (let lat = -90 + GRATICULE_STEP; lat < 90; lat += GRATICULE_STEP) {
+    const phi = THREE.MathUtils.degToRad(lat);
+    const ringRadius = radius * Math.cos(phi);
+    lines.push({
+      text: '',
+      position: { x: 0, y: radius * Math.sin(phi), z: 0 },
+      rotation: { x: Math.PI / 2, y: 0, z: 0 },
+      className: lat === 0 ? 'graticule-line graticule-equator' : 'graticule-line',
+      style: { width: `${ringRadius * 2}px`, height: `${ringRadius * 2}px` },
+    });
+  }
+
+  return lines;
+}
+
+registerLayout({
+  id: 'globe',
+  label: 'GLOBE',
+  defaults: {
+    packing: 3,            // Globe surface per tile, as a multiple of the tile area
+    minRadius: 700,
+    clusterSpacing: 1.15,  // Spacing inside a country cluster, as a multiple of the tile size
+    graticule: true,
+  },
+  params: [
+    { key: 'packing', label: 'Globe size', min: 1, max: 10, step: 0.1 },
+    { key: 'clusterSpacing', label: 'Cluster spacing', min: 0.8, max: 2.5, step: 0.05 },
+    { key: 'graticule', label: 'Graticule', type: 'boolean' },
+  ],
+  generate: generateGlobeLayout,
+});
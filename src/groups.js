@@ -0,0 +1,88 @@
+// Grouping - split items into labeled groups (periodic-table style families)
+import { getFieldValue } from './fields.js';
+import { compareByField } from './sorting.js';
+import { formatCompactCurrency } from './formats.js';
+import { convertAmount } from './currency.js';
+
+const UNKNOWN_GROUP = 'Unknown';
+
+// Derived groupings that are not plain columns
+const DERIVED_GROUPINGS = {
+  netWorthBand: {
+    label: 'Net worth band',
+    // Bounds are in USD and converted to the display currency (net worths already are) on use,
+    // so bands mean the same wealth whichever currency is shown
+    bands: [
+      { maxUsd: 100000, label: () => `< ${formatCompactCurrency(bandBound(100000))}` },
+      { maxUsd: 200000, label: () => `${formatCompactCurrency(bandBound(100000))} – ${formatCompactCurrency(bandBound(200000))}` },
+      { maxUsd: Infinity, label: () => `≥ ${formatCompactCurrency(bandBound(200000))}` },
+    ],
+    groupOf: item => {
+      const band = DERIVED_GROUPINGS.netWorthBand.bands.find(b => (item.netWorth || 0) < bandBound(b.maxUsd));
+      return band.label();
+    },
+    // Bands keep their natural order instead of alphabetical
+    order: () => DERIVED_GROUPINGS.netWorthBand.bands.map(b => b.label()),
+  },
+};
+
+/**
+ * Net worth band bound in the display currency
+ * @param {number} usd - Bound in USD
+ * @returns {number} Bound in the display currency
+ */
+function bandBound(usd) {
+  return convertAmount(usd, 'USD');
+}
+
+/**
+ * List the fields a layout can be grouped by
+ * @param {Array<Object>} fields - Available fields (see listFields)
+ * @returns {Array<Object>} [{ key, label }] - text fields plus derived groupings
+ */
+export function getGroupOptions(fields) {
+  return [
+    ...Object.entries(DERIVED_GROUPINGS).map(([key, grouping]) => ({ key, label: grouping.label })),
+    ...fields.filter(field => field.type === 'text' && field.key !== 'name' && field.key !== 'imageUrl'),
+  ];
+}
+
+/**
+ * Split items into groups
+ * @param {Array<Object>} items - Person objects (tile userData)
+ * @param {string} groupBy - Field key or derived grouping key
+ * @param {Object} sort - { sortBy, sortDirection } applied inside each group
+ * @returns {Array<Object>} [{ label, indices }] - indices point into items
+ */
+export function groupItems(items, groupBy, sort = {}) {
+  const derived = DERIVED_GROUPINGS[groupBy];
+  const groupOf = derived ? derived.groupOf : item => {
+    const value = getFieldValue(item, groupBy);
+    return value == null || String(value).trim() === '' ? UNKNOWN_GROUP : String(value).trim();
+  };
+
+  const byLabel = new Map();
+  items.forEach((item, index) => {
+    const label = groupOf(item);
+    if (!byLabel.has(label)) byLabel.set(label, []);
+    byLabel.get(label).push(index);
+  });
+
+  const labels = derived
+    ? derived.order().filter(label => byLabel.has(label))
+    : Array.from(byLabel.keys()).sort((a, b) => {
+      if (a === UNKNOWN_GROUP) return 1;
+      if (b === UNKNOWN_GROUP) return -1;
+      return a.localeCompare(b);
+    });
+
+  const compare = sort.sortBy ? compareByField(sort.sortBy, sort.sortDirection) : null;
+
+  return labels.map(label => {
+    const indices = byLabel.get(label);
+    if (compare) {
+      indices.sort((a, b) => compare(items[a], items[b]) || a - b);
+    }
+    return { label, indices };
+  });
+}
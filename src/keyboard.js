@@ -0,0 +1,203 @@
+// Keyboard navigation - number keys switch layouts, arrow keys move a tile cursor, Enter opens details
+import * as THREE from 'three';
+import { getCamera, getCameraView, flyCameraTo, requestRender } from './scene.js';
+import { revealTile } from './lod.js';
+import { listLayouts } from './registry.js';
+import { switchLayout } from './ui.js';
+import { focusTile, getFocusedObject } from './focus.js';
+import { isDataTableVisible } from './datatable.js';
+
+const ARROW_DIRECTIONS = {
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowRight: { x: 1, y: 0 },
+  ArrowUp: { x: 0, y: 1 },
+  ArrowDown: { x: 0, y: -1 },
+};
+const SIDEWAYS_PENALTY = 2; // Off-axis distance counts double when picking the neighbor in a direction
+const VIEW_EDGE = 0.85; // Pan once the cursor gets this close to the edge of the view (normalized device coordinates)
+const PAN_DURATION = 400; // milliseconds
+
+let cursorObject = null;
+let getOrderedObjects = () => [];
+let isListening = false;
+
+/**
+ * Enable keyboard shortcuts for layouts and tile navigation
+ * @param {Object} options - { getOrderedObjects } - tiles placed by the current layout
+ */
+export function initKeyboardNavigation(options) {
+  getOrderedObjects = options.getOrderedObjects;
+  cursorObject = null;
+
+  if (isListening) return;
+  isListening = true;
+
+  window.addEventListener('keydown', event => {
+    if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) return;
+    if (isTypingTarget(event.target) || document.querySelector('[aria-modal="true"]')) return;
+    if (isDataTableVisible()) return; // The table has its own (native) keyboard handling
+    if (!getCamera()) return; // Signed out - no scene
+
+    // 1-9: the layout buttons in order
+    if (/^[1-9]$/.test(event.key)) {
+      const layout = listLayouts()[Number(event.key) - 1];
+      if (layout) {
+        event.preventDefault();
+        switchLayout(layout.id);
+      }
+      return;
+    }
+
+    const direction = ARROW_DIRECTIONS[event.key];
+    if (direction) {
+      event.preventDefault();
+      moveCursor(direction);
+      return;
+    }
+
+    // Enter opens the tile under the cursor (buttons keep their own Enter)
+    if (event.key === 'Enter' && cursorObject && (event.target === cursorObject.element || event.target === document.body)) {
+      event.preventDefault();
+      focusTile(cursorObject);
+    }
+  });
+}
+
+/**
+ * Move the tile cursor to the nearest tile on screen in a direction
+ * While a detail card is open, the card follows the cursor
+ * @param {Object} direction - { x, y } unit step in screen space (y up)
+ */
+function moveCursor(direction) {
+  const candidates = getOrderedObjects();
+  if (candidates.length === 0) return;
+
+  const focused = getFocusedObject();
+  const origin = focused || (candidates.includes(cursorObject) ? cursorObject : null);
+  const next = origin ? findNeighbor(origin, candidates, direction) : findCenterTile(candidates);
+  if (!next) return;
+
+  setCursor(next);
+  if (focused) {
+    focusTile(next);
+  } else {
+    keepInView(next);
+  }
+}
+
+/**
+ * Mark a tile as the cursor and give it keyboard focus so screen readers announce it
+ * @param {THREE.CSS3DObject} object - Tile
+ */
+function setCursor(object) {
+  if (cursorObject) cursorObject.element.classList.remove('tile-cursor');
+  cursorObject = object;
+  object.element.classList.add('tile-cursor');
+  revealTile(object); // The cursor may land on a culled tile, which can't take focus
+  requestRender();
+  object.element.focus({ preventScroll: true });
+}
+
+/**
+ * Nearest front-facing tile from the origin in a screen direction
+ * @param {THREE.CSS3DObject} origin - Current tile
+ * @param {Array} candidates - Placed tiles
+ * @param {Object} direction - { x, y } screen direction
+ * @returns {THREE.CSS3DObject|null} Neighbor
+ */
+function findNeighbor(origin, candidates, direction) {
+  const camera = getCamera();
+  const from = toScreen(origin, camera);
+  let best = null;
+  let bestScore = Infinity;
+
+  candidates.forEach(candidate => {
+    if (candidate === origin || !isFacingCamera(candidate, camera)) return;
+
+    const to = toScreen(candidate, camera);
+    if (to.z > 1) return; // Behind the camera
+
+    const dx = (to.x - from.x) * camera.aspect;
+    const dy = to.y - from.y;
+    const along = dx * direction.x + dy * direction.y;
+    if (along <= 1e-6) return;
+
+    const sideways = Math.abs(dx * direction.y - dy * direction.x);
+    const score = along + sideways * SIDEWAYS_PENALTY;
+    if (score < bestScore) {
+      bestScore = score;
+      best = candidate;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Front-facing tile closest to the center of the view (where the cursor starts)
+ * @param {Array} candidates - Placed tiles
+ * @returns {THREE.CSS3DObject|null} Tile
+ */
+function findCenterTile(candidates) {
+  const camera = getCamera();
+  let best = null;
+  let bestDistance = Infinity;
+
+  candidates.forEach(candidate => {
+    const point = toScreen(candidate, camera);
+    if (point.z > 1 || !isFacingCamera(candidate, camera)) return;
+
+    const distance = Math.hypot(point.x * camera.aspect, point.y);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = candidate;
+    }
+  });
+
+  return best || candidates[0];
+}
+
+/**
+ * Pan the camera (keeping its angle) when the cursor nears the edge of the view
+ * @param {THREE.CSS3DObject} object - Cursor tile
+ */
+function keepInView(object) {
+  const point = toScreen(object, getCamera());
+  if (point.z <= 1 && Math.abs(point.x) < VIEW_EDGE && Math.abs(point.y) < VIEW_EDGE) return;
+
+  const view = getCameraView();
+  if (!view) return;
+
+  const offset = object.position.clone().sub(view.target);
+  flyCameraTo({ position: view.position.add(offset), target: view.target.add(offset) }, PAN_DURATION);
+}
+
+/**
+ * Project a tile's center into normalized device coordinates
+ * @param {THREE.CSS3DObject} object - Tile
+ * @param {THREE.Camera} camera - Scene camera
+ * @returns {THREE.Vector3} x/y in [-1, 1] when on screen, z > 1 when behind the camera
+ */
+function toScreen(object, camera) {
+  return object.position.clone().project(camera);
+}
+
+/**
+ * Whether the tile's front side faces the camera (skips the far side of spheres and globes)
+ * @param {THREE.CSS3DObject} object - Tile
+ * @param {THREE.Camera} camera - Scene camera
+ * @returns {boolean} True if facing the camera
+ */
+function isFacingCamera(object, camera) {
+  const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(object.quaternion);
+  return normal.dot(camera.position.clone().sub(object.position)) > 0;
+}
+
+/**
+ * Whether a key press belongs to a form control rather than the scene
+ * @param {EventTarget} target - Event target
+ * @returns {boolean} True for inputs, selects, text areas and editable content
+ */
+function isTypingTarget(target) {
+  return Boolean(target && (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName)));
+}
@@ -0,0 +1,51 @@
+// 3D labels - CSS3D text objects placed alongside tiles (group headers, etc.)
+import { CSS3DObject } from 'three/examples/jsm/renderers/CSS3DRenderer.js';
+import { getScene } from './scene.js';
+import { fade } from './transform.js';
+
+const LABEL_FADE_DURATION = 600; // milliseconds
+
+let activeLabels = [];
+
+/**
+ * Replace the labels in the scene
+ * @param {Array<Object>} definitions - [{ text, position: {x, y, z}, rotation?: {x, y, z}, className?, style? }]
+ */
+export function showLabels(definitions = []) {
+  clearLabels();
+
+  const scene = getScene();
+  if (!scene || definitions.length === 0) return;
+
+  activeLabels = definitions.map(definition => {
+    const div = document.createElement('div');
+    div.className = `scene-label ${definition.className || ''}`.trim();
+    div.textContent = definition.text;
+    if (definition.style) Object.assign(div.style, definition.style);
+    div.style.opacity = '0';
+
+    const label = new CSS3DObject(div);
+    label.position.set(definition.position.x, definition.position.y, definition.position.z);
+    if (definition.rotation) {
+      label.rotation.set(definition.rotation.x, definition.rotation.y, definition.rotation.z);
+    }
+    scene.add(label);
+    return label;
+  });
+
+  fade(activeLabels, 1, LABEL_FADE_DURATION);
+}
+
+/**
+ * Fade out and remove every label from the scene
+ */
+export function clearLabels() {
+  const scene = getScene();
+  const leaving = activeLabels;
+  activeLabels = [];
+
+  if (!scene || leaving.length === 0) return;
+  fade(leaving, 0, LABEL_FADE_DURATION / 2, () => {
+    leaving.forEach(label => scene.remove(label));
+  });
+}
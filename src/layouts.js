@@ -1,65 +1,133 @@
 import * as THREE from 'three';
+import { groupItems } from './groups.js';
+import { compareByField } from './sorting.js';
+import { registerLayout, getLayout } from './registry.js';
 
-// Layout spacing constants - Increased for better visibility
+// Shared sizing constants - every layout derives its dimensions from the tile count and tile size
 export const LAYOUT_CONSTANTS = {
-  TABLE: {
-    X_SPACING: 250,  // Increased spacing for better visibility
-    Y_SPACING: 320,  // Increased spacing for better visibility
-    COLS: 20,
-    ROWS: 10,
+  TILE: {
+    WIDTH: 140,   // Matches .tile in styles.css
+    HEIGHT: 160,
   },
-  SPHERE: {
-    RADIUS: 800,  // Increased from 500 for better spacing
-  },
-  HELIX: {
-    RADIUS: 500,  // Increased from 300 for better spacing
-    TURN_ANGLE: 0.3,
-    VERTICAL_STEP: 40,  // Increased from 20 for better vertical spacing
-  },
-  GRID: {
-    X_SPACING: 250,  // Increased from 150
-    Y_SPACING: 320,  // Increased from 150
-    Z_SPACING: 250,  // Increased from 150
-    X_COUNT: 5,
-    Y_COUNT: 4,
-    Z_COUNT: 10,
-  },
-  TETRA: {
-    SCALE: 3.5,           // Overall size of the tetrahedron (pushed outward)
-    NORMAL_OFFSET: 50,   // Push tiles outward along face normals for breathing room
+  SPACING: {
+    MAX: 2,                 // Slot size as a multiple of the tile size for small datasets
+    MIN: 1.2,               // ...tightening down to this for large ones
+    REFERENCE_COUNT: 100,   // Count at which spacing starts to tighten
   },
 };
 
 /**
- * Generate layout targets for all layouts
+ * Slot spacing for a number of tiles: generous for small datasets, tighter for large ones
  * @param {number} count - Number of objects
- * @returns {Object} Object with table, sphere, helix, grid arrays
+ * @param {number} scale - Multiplier on the automatic spacing
+ * @returns {Object} { x, y } spacing in world units
  */
-export function generateLayoutTargets(count) {
+export function getSpacing(count, scale = 1) {
+  const { MAX, MIN, REFERENCE_COUNT } = LAYOUT_CONSTANTS.SPACING;
+  const { WIDTH, HEIGHT } = LAYOUT_CONSTANTS.TILE;
+  const factor = Math.min(MAX, Math.max(MIN, MAX - Math.log10(Math.max(count, 1) / REFERENCE_COUNT) / 2)) * scale;
+  return { x: WIDTH * factor, y: HEIGHT * factor };
+}
+
+/**
+ * Table dimensions for a number of tiles, close to the target aspect ratio
+ * @param {number} count - Number of objects
+ * @param {number} aspect - Target width:height of the table
+ * @param {number} spacingScale - Multiplier on the automatic spacing
+ * @returns {Object} { cols, rows, xSpacing, ySpacing }
+ */
+export function getTableDimensions(count, aspect, spacingScale = 1) {
+  const spacing = getSpacing(count, spacingScale);
+  const cols = Math.max(1, Math.ceil(Math.sqrt((count * aspect * spacing.y) / spacing.x)));
+  const rows = Math.max(1, Math.ceil(count / cols));
+  return { cols, rows, xSpacing: spacing.x, ySpacing: spacing.y };
+}
+
+/**
+ * Bounding box of a set of targets, padded by the tile size
+ * @param {Array<THREE.Object3D>} targets - Layout targets
+ * @returns {THREE.Box3} Bounding box (empty when there are no targets)
+ */
+export function getLayoutBounds(targets) {
+  const box = new THREE.Box3();
+  (targets || []).forEach(target => {
+    if (target) box.expandByPoint(target.position);
+  });
+  if (!box.isEmpty()) {
+    const { WIDTH, HEIGHT } = LAYOUT_CONSTANTS.TILE;
+    box.expandByScalar(Math.max(WIDTH, HEIGHT) / 2);
+  }
+  return box;
+}
+
+/**
+ * Compute targets for one registered layout
+ * Generators fill slots 0..count-1; the sort order decides which item gets which slot
+ * unless the generator returns its own order
+ * @param {string} layoutId - Registered layout id
+ * @param {Array<Object>} items - Person objects (tile userData), in tile order
+ * @param {Object} options - { sortBy, sortDirection, groupBy } (groupBy applies to groupable layouts)
+ * @param {Object} params - Parameter overrides merged over the layout defaults
+ * @returns {Object} { targets, labels } - targets aligned with items
+ */
+export function computeLayoutTargets(layoutId, items, options = {}, params = {}) {
+  const layout = getLayout(layoutId);
+  if (!layout) {
+    throw new Error(`Layout not registered: ${layoutId}`);
+  }
+
+  const result = layout.generate(items, { ...layout.defaults, ...params }, options);
+  const slots = Array.isArray(result) ? result : result.targets;
+  const order = (!Array.isArray(result) && result.order) || getSortOrder(items, options);
+
+  // Map slot targets back onto item positions
+  const targets = new Array(items.length);
+  order.forEach((itemIndex, slot) => {
+    targets[itemIndex] = slots[slot];
+  });
+
   return {
-    table: generateTableLayout(count),
-    sphere: generateSphereLayout(count),
-    helix: generateHelixLayout(count),
-    grid: generateGridLayout(count),
-    tetra: generateTetraLayout(count),
+    targets,
+    labels: (!Array.isArray(result) && result.labels) || [],
   };
 }
 
 /**
- * Table layout: 20 columns x 10 rows
- * @param {number} count - Number of objects
- * @returns {Array<THREE.Object3D>} Array of target objects
+ * Item indices in slot order
+ * @param {Array<Object>} items - Person objects
+ * @param {Object} options - { sortBy, sortDirection }
+ * @returns {Array<number>} Indices into items; sheet order when no sort is set
  */
-function generateTableLayout(count) {
+export function getSortOrder(items, { sortBy, sortDirection } = {}) {
+  const order = items.map((_, index) => index);
+  if (!sortBy) return order;
+
+  const compare = compareByField(sortBy, sortDirection);
+  return order.sort((a, b) => compare(items[a], items[b]) || a - b);
+}
+
+/**
+ * Table layout: rows and columns sized to the count, or labeled blocks when grouped
+ * @param {Array<Object>} items - Person objects
+ * @param {Object} params - { aspect, spacing, groupGap }
+ * @param {Object} options - { groupBy, sortBy, sortDirection }
+ * @returns {Array<THREE.Object3D>|Object} Slot targets, or { targets, labels, order } when grouped
+ */
+function generateTableLayout(items, params, options) {
+  if (options.groupBy) {
+    return generateGroupedTableLayout(items, params, options);
+  }
+
   const targets = [];
-  const { COLS, ROWS, X_SPACING, Y_SPACING } = LAYOUT_CONSTANTS.TABLE;
+  const count = items.length;
+  const { cols, rows, xSpacing, ySpacing } = getTableDimensions(count, params.aspect, params.spacing);
 
   for (let i = 0; i < count; i++) {
-    const col = i % COLS;
-    const row = Math.floor(i / COLS);
+    const col = i % cols;
+    const row = Math.floor(i / cols);
 
-    const x = (col - COLS / 2 + 0.5) * X_SPACING;
-    const y = (ROWS / 2 - row - 0.5) * Y_SPACING;
+    const x = (col - cols / 2 + 0.5) * xSpacing;
+    const y = (rows / 2 - row - 0.5) * ySpacing;
     const z = 0;
 
     const target = new THREE.Object3D();
@@ -71,22 +139,90 @@ function generateTableLayout(count) {
   return targets;
 }
 
+/**
+ * Grouped table layout: each group becomes a block of columns (like element families)
+ * Blocks fill top-to-bottom, then left-to-right, and wrap onto a new shelf when wider than the table
+ * @param {Array<Object>} items - Person objects (tile userData)
+ * @param {Object} params - { aspect, spacing, groupGap }
+ * @param {Object} options - { groupBy, sortBy, sortDirection }
+ * @returns {Object} { targets, labels, order } - targets in slot order, order maps slots to items
+ */
+function generateGroupedTableLayout(items, params, options) {
+  const { groupGap } = params;
+  const { cols: maxCols, rows: maxRows, xSpacing, ySpacing } = getTableDimensions(items.length, params.aspect, params.spacing);
+  const groups = groupItems(items, options.groupBy, options);
+
+  // Pack blocks onto shelves (grid units; each shelf reserves one row for headers)
+  const shelves = [];
+  let shelf = null;
+  groups.forEach(group => {
+    const rows = Math.min(group.indices.length, maxRows);
+    const cols = Math.ceil(group.indices.length / rows);
+    const neededCols = shelf && shelf.width > 0 ? shelf.width + groupGap + cols : cols;
+
+    if (!shelf || (shelf.width > 0 && neededCols > maxCols)) {
+      shelf = { width: 0, height: 0, blocks: [] };
+      shelves.push(shelf);
+    }
+
+    const startCol = shelf.width > 0 ? shelf.width + groupGap : 0;
+    shelf.blocks.push({ group, rows, cols, startCol });
+    shelf.width = startCol + cols;
+    shelf.height = Math.max(shelf.height, rows + 1);
+  });
+
+  const totalWidth = Math.max(...shelves.map(s => s.width), 0);
+  const totalHeight = shelves.reduce((sum, s) => sum + s.height, 0);
+  const toX = col => (col - totalWidth / 2 + 0.5) * xSpacing;
+  const toY = row => (totalHeight / 2 - row - 0.5) * ySpacing;
+
+  const targets = [];
+  const order = [];
+  const labels = [];
+  let shelfTop = 0;
+
+  shelves.forEach(currentShelf => {
+    currentShelf.blocks.forEach(({ group, rows, cols, startCol }) => {
+      labels.push({
+        text: `${group.label} (${group.indices.length})`,
+        position: { x: toX(startCol + (cols - 1) / 2), y: toY(shelfTop), z: 0 },
+        className: 'group-label',
+      });
+
+      group.indices.forEach((itemIndex, k) => {
+        const target = new THREE.Object3D();
+        target.position.set(toX(startCol + Math.floor(k / rows)), toY(shelfTop + 1 + (k % rows)), 0);
+        target.rotation.set(0, 0, 0);
+        targets.push(target);
+        order.push(itemIndex);
+      });
+    });
+    shelfTop += currentShelf.height;
+  });
+
+  return { targets, labels, order };
+}
+
 /**
  * Sphere layout: distribute points evenly on a sphere using Fibonacci sphere algorithm
- * @param {number} count - Number of objects
+ * The radius grows with the count so the surface always has room for every tile
+ * @param {Array<Object>} items - Person objects
+ * @param {Object} params - { packing, minRadius }
  * @returns {Array<THREE.Object3D>} Array of target objects
  */
-function generateSphereLayout(count) {
+function generateSphereLayout(items, params) {
   const targets = [];
-  const { RADIUS } = LAYOUT_CONSTANTS.SPHERE;
+  const count = items.length;
+  const { WIDTH, HEIGHT } = LAYOUT_CONSTANTS.TILE;
+  const radius = Math.max(params.minRadius, Math.sqrt((count * WIDTH * HEIGHT * params.packing) / (4 * Math.PI)));
 
   for (let i = 0; i < count; i++) {
     const phi = Math.acos(-1 + (2 * i) / count); // Polar angle
     const theta = Math.sqrt(count * Math.PI) * phi; // Azimuthal angle
 
-    const x = RADIUS * Math.cos(theta) * Math.sin(phi);
-    const y = RADIUS * Math.sin(theta) * Math.sin(phi);
-    const z = RADIUS * Math.cos(phi);
+    const x = radius * Math.cos(theta) * Math.sin(phi);
+    const y = radius * Math.sin(theta) * Math.sin(phi);
+    const z = radius * Math.cos(phi);
 
     const target = new THREE.Object3D();
     target.position.set(x, y, z);
@@ -102,31 +238,40 @@ function generateSphereLayout(count) {
 
 /**
  * Double Helix layout: two intertwined spirals
- * @param {number} count - Number of objects
+ * Tiles per turn grow with the count; the radius fits one turn of tiles side by side and
+ * the pitch keeps a strand clear of the other strand half a turn later
+ * @param {Array<Object>} items - Person objects
+ * @param {Object} params - { minTilesPerTurn, maxTilesPerTurn, arcSpacing, turnGap, strandOffset }
  * @returns {Array<THREE.Object3D>} Array of target objects
  */
-function generateHelixLayout(count) {
+function generateHelixLayout(items, params) {
   const targets = [];
-  const { RADIUS, TURN_ANGLE, VERTICAL_STEP } = LAYOUT_CONSTANTS.HELIX;
+  const count = items.length;
+  const { minTilesPerTurn, maxTilesPerTurn, arcSpacing, turnGap } = params;
+  const { WIDTH, HEIGHT } = LAYOUT_CONSTANTS.TILE;
 
   // Number of steps per strand (ceil because we alternate)
   const strandSteps = Math.ceil(count / 2);
-  const centerOffset = ((strandSteps - 1) * VERTICAL_STEP) / 2;
+  const tilesPerTurn = Math.min(maxTilesPerTurn, Math.max(minTilesPerTurn, Math.round(Math.sqrt(count) * 1.5)));
+  const turnAngle = (2 * Math.PI) / tilesPerTurn;
+  const radius = (tilesPerTurn * WIDTH * arcSpacing) / (2 * Math.PI);
+  const verticalStep = (2 * HEIGHT * turnGap) / tilesPerTurn;
+  const centerOffset = ((strandSteps - 1) * verticalStep) / 2;
 
   for (let i = 0; i < count; i++) {
     const strand = i % 2; // 0 or 1
     const k = Math.floor(i / 2); // Step along each strand
     const angleOffset = strand === 0 ? 0 : Math.PI; // 180° apart
 
-    const angle = k * TURN_ANGLE + angleOffset;
+    const angle = k * turnAngle + angleOffset;
 
     // Give each strand a slight radial offset to make the double helix more visible
-    const strandOffset = strand === 0 ? 20 : -20;
-    const radiusWithOffset = RADIUS + strandOffset;
+    const strandOffset = strand === 0 ? params.strandOffset : -params.strandOffset;
+    const radiusWithOffset = radius + strandOffset;
 
     const x = radiusWithOffset * Math.cos(angle);
     const z = radiusWithOffset * Math.sin(angle);
-    const y = k * VERTICAL_STEP - centerOffset;
+    const y = k * verticalStep - centerOffset;
 
     const target = new THREE.Object3D();
     target.position.set(x, y, z);
@@ -141,22 +286,31 @@ function generateHelixLayout(count) {
 }
 
 /**
- * Grid layout: 5 x 4 x 10 (x, y, z)
- * @param {number} count - Number of objects
+ * Grid layout: a roughly cubic x, y, z block sized to the count
+ * @param {Array<Object>} items - Person objects
+ * @param {Object} params - { spacing, xRatio, yRatio } - ratios set columns/rows relative to the cube root of the count
  * @returns {Array<THREE.Object3D>} Array of target objects
  */
-function generateGridLayout(count) {
+function generateGridLayout(items, params) {
   const targets = [];
-  const { X_COUNT, Y_COUNT, Z_COUNT, X_SPACING, Y_SPACING, Z_SPACING } = LAYOUT_CONSTANTS.GRID;
+  const count = items.length;
+  const spacing = getSpacing(count, params.spacing);
+  const side = Math.cbrt(Math.max(count, 1));
+  const xCount = Math.max(1, Math.round(side * params.xRatio));
+  const yCount = Math.max(1, Math.round(side * params.yRatio));
+  const zCount = Math.max(1, Math.ceil(count / (xCount * yCount)));
+  const xSpacing = spacing.x;
+  const ySpacing = spacing.y;
+  const zSpacing = spacing.x;
 
   for (let i = 0; i < count; i++) {
-    const x = i % X_COUNT;
-    const y = Math.floor(i / X_COUNT) % Y_COUNT;
-    const z = Math.floor(i / (X_COUNT * Y_COUNT));
+    const x = i % xCount;
+    const y = Math.floor(i / xCount) % yCount;
+    const z = Math.floor(i / (xCount * yCount));
 
-    const posX = (x - X_COUNT / 2 + 0.5) * X_SPACING;
-    const posY = (Y_COUNT / 2 - y - 0.5) * Y_SPACING;
-    const posZ = (z - Z_COUNT / 2 + 0.5) * Z_SPACING;
+    const posX = (x - xCount / 2 + 0.5) * xSpacing;
+    const posY = (yCount / 2 - y - 0.5) * ySpacing;
+    const posZ = (z - zCount / 2 + 0.5) * zSpacing;
 
     const target = new THREE.Object3D();
     target.position.set(posX, posY, posZ);
@@ -170,19 +324,22 @@ function generateGridLayout(count) {
 /**
  * Tetrahedron (4-face pyramid) layout
  * Distributes items evenly across the four faces of a tetrahedron.
- * @param {number} count - Number of objects
+ * @param {Array<Object>} items - Person objects
+ * @param {Object} params - { packing, minScale, normalOffset }
  * @returns {Array<THREE.Object3D>} Array of target objects
  */
-function generateTetraLayout(count) {
+function generateTetraLayout(items, params) {
   const targets = [];
-  const { SCALE, NORMAL_OFFSET } = LAYOUT_CONSTANTS.TETRA;
+  const count = items.length;
+  const { packing, minScale, normalOffset } = params;
+  const { WIDTH, HEIGHT } = LAYOUT_CONSTANTS.TILE;
 
   // Define vertices of a tetrahedron (manually tuned for good spacing)
   const vertices = [
-    new THREE.Vector3(0, 520, 0).multiplyScalar(SCALE),          // Apex
-    new THREE.Vector3(-420, -320, -320).multiplyScalar(SCALE),   // Base vertex 1
-    new THREE.Vector3(420, -320, -320).multiplyScalar(SCALE),    // Base vertex 2
-    new THREE.Vector3(0, -320, 520).multiplyScalar(SCALE),       // Base vertex 3
+    new THREE.Vector3(0, 520, 0),          // Apex
+    new THREE.Vector3(-420, -320, -320),   // Base vertex 1
+    new THREE.Vector3(420, -320, -320),    // Base vertex 2
+    new THREE.Vector3(0, -320, 520),       // Base vertex 3
   ];
 
   // Faces defined by indices into the vertices array
@@ -193,6 +350,17 @@ function generateTetraLayout(count) {
     [1, 3, 2],
   ];
 
+  // Scale so the smallest face has room for its share of tiles
+  const smallestFace = Math.min(...faces.map(([aIdx, bIdx, cIdx]) => new THREE.Vector3()
+    .crossVectors(
+      new THREE.Vector3().subVectors(vertices[bIdx], vertices[aIdx]),
+      new THREE.Vector3().subVectors(vertices[cIdx], vertices[aIdx])
+    )
+    .length() / 2));
+  const perFace = Math.ceil(count / faces.length);
+  const scale = Math.max(minScale, Math.sqrt((perFace * WIDTH * HEIGHT * packing) / smallestFace));
+  vertices.forEach(vertex => vertex.multiplyScalar(scale));
+
   // Low-discrepancy sampling on triangle using Hammersley sequence for even spacing per face
   const hammersley = (k, n) => {
     let t = k;
@@ -251,7 +419,7 @@ function generateTetraLayout(count) {
 
       // Push outward along the normal for breathing room
       const target = new THREE.Object3D();
-      target.position.copy(position).addScaledVector(normal, NORMAL_OFFSET);
+      target.position.copy(position).addScaledVector(normal, normalOffset);
       target.lookAt(position.clone().add(normal));
 
       targets.push(target);
@@ -261,3 +429,84 @@ function generateTetraLayout(count) {
   return targets;
 }
 
+// Built-in layouts (the first registered layout is shown on load)
+registerLayout({
+  id: 'table',
+  label: 'TABLE',
+  groupable: true,
+  defaults: {
+    aspect: 1.8,    // Target width:height of the table (roughly a landscape screen)
+    spacing: 1,     // Multiplier on the automatic spacing
+    groupGap: 1,    // Empty columns between group blocks
+  },
+  params: [
+    { key: 'aspect', label: 'Width : height', min: 0.5, max: 4, step: 0.1 },
+    { key: 'spacing', label: 'Spacing', min: 0.6, max: 2, step: 0.05 },
+    { key: 'groupGap', label: 'Gap between groups', min: 0, max: 4, step: 1 },
+  ],
+  generate: generateTableLayout,
+});
+
+registerLayout({
+  id: 'sphere',
+  label: 'SPHERE',
+  defaults: {
+    packing: 1.8,     // Sphere surface per tile, as a multiple of the tile area
+    minRadius: 400,
+  },
+  params: [
+    { key: 'packing', label: 'Spacing (radius)', min: 0.8, max: 5, step: 0.1 },
+    { key: 'minRadius', label: 'Minimum radius', min: 100, max: 2000, step: 50 },
+  ],
+  generate: generateSphereLayout,
+});
+
+registerLayout({
+  id: 'helix',
+  label: 'HELIX',
+  defaults: {
+    minTilesPerTurn: 12,
+    maxTilesPerTurn: 96,
+    arcSpacing: 1.1,     // Arc between neighbours on a strand, as a multiple of the tile width
+    turnGap: 1.25,       // Vertical gap between stacked turns, as a multiple of the tile height
+    strandOffset: 20,    // Radial offset that separates the two strands
+  },
+  params: [
+    { key: 'maxTilesPerTurn', label: 'Max tiles per turn (turn angle)', min: 12, max: 200, step: 1 },
+    { key: 'arcSpacing', label: 'Spacing along strand (radius)', min: 0.8, max: 3, step: 0.05 },
+    { key: 'turnGap', label: 'Gap between turns', min: 0.5, max: 4, step: 0.05 },
+    { key: 'strandOffset', label: 'Strand offset', min: 0, max: 200, step: 5 },
+  ],
+  generate: generateHelixLayout,
+});
+
+registerLayout({
+  id: 'grid',
+  label: 'GRID',
+  defaults: {
+    spacing: 1,
+    xRatio: 1.25,   // Wider than tall
+    yRatio: 0.8,
+  },
+  params: [
+    { key: 'spacing', label: 'Spacing', min: 0.6, max: 2, step: 0.05 },
+    { key: 'xRatio', label: 'Columns', min: 0.25, max: 3, step: 0.05 },
+    { key: 'yRatio', label: 'Rows', min: 0.25, max: 3, step: 0.05 },
+  ],
+  generate: generateGridLayout,
+});
+
+registerLayout({
+  id: 'tetra',
+  label: 'TETRAHEDRON',
+  defaults: {
+    packing: 3.9,        // Face area per tile, as a multiple of the tile area
+    minScale: 1,
+    normalOffset: 50,    // Push tiles outward along face normals for breathing room
+  },
+  params: [
+    { key: 'packing', label: 'Spacing (scale)', min: 1.5, max: 10, step: 0.1 },
+    { key: 'normalOffset', label: 'Offset from faces', min: 0, max: 300, step: 5 },
+  ],
+  generate: generateTetraLayout,
+});
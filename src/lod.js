@@ -0,0 +1,101 @@
+// Level of detail - full cards near the camera, symbol-only tiles at mid range, colored dots far away; tiles outside the view are culled
+import * as THREE from 'three';
+
+// On-screen tile height (pixels) at which each level starts; distance is converted to apparent size so the levels hold on any screen
+const CARD_MIN_HEIGHT = 70;
+const SYMBOL_MIN_HEIGHT = 22;
+const HYSTERESIS = 0.15; // A tile must cross a threshold by this share before switching back, so levels don't flicker at the boundary
+const TILE_HEIGHT = 160; // matches .tile in styles.css
+const TILE_RADIUS = 110; // Bounding sphere of a 140x160 tile; partly visible tiles are kept
+const CULLED_LAYER = 1; // Objects on a layer the camera doesn't see are skipped by CSS3DRenderer (display: none, no transform)
+
+const levels = new WeakMap(); // tile -> current level
+const culled = new WeakSet();
+const frustum = new THREE.Frustum();
+const projection = new THREE.Matrix4();
+const sphere = new THREE.Sphere(new THREE.Vector3(), TILE_RADIUS);
+let getObjects = () => [];
+
+/**
+ * Enable level of detail and culling for the tiles
+ * @param {Object} options - { getObjects } - returns all tiles
+ */
+export function initLevelOfDetail(options) {
+  getObjects = options.getObjects;
+}
+
+/**
+ * Pick each tile's level and cull tiles outside the view (called by the render loop before every render)
+ * Only tiles whose level or visibility changed are touched, so an idle frame writes nothing to the DOM
+ * @param {THREE.PerspectiveCamera} camera - Camera
+ * @param {number} viewportHeight - Renderer height in pixels
+ */
+export function updateLevelOfDetail(camera, viewportHeight) {
+  camera.updateMatrixWorld();
+  frustum.setFromProjectionMatrix(projection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse));
+
+  // Pixels per world unit at distance 1
+  const scale = viewportHeight / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov / 2)));
+
+  getObjects().forEach(object => {
+    sphere.center.copy(object.position);
+    const inView = frustum.intersectsSphere(sphere) || object.element.classList.contains('tile-cursor');
+    setCulled(object, !inView);
+    if (!inView) return;
+
+    const distance = Math.max(camera.position.distanceTo(object.position), camera.near);
+    setLevel(object, pickLevel(TILE_HEIGHT * scale / distance, levels.get(object)));
+  });
+}
+
+/**
+ * Show a tile right away even if it was culled (e.g. before giving it keyboard focus - hidden elements can't take focus)
+ * @param {THREE.CSS3DObject} object - Tile
+ */
+export function revealTile(object) {
+  setCulled(object, false);
+  if (object.visible) object.element.style.display = '';
+}
+
+/**
+ * Level for an apparent tile height, staying at the current level inside the hysteresis band
+ * @param {number} height - On-screen tile height in pixels
+ * @param {string} [current] - Current level
+ * @returns {string} 'card', 'symbol' or 'dot'
+ */
+function pickLevel(height, current) {
+  const cardMin = CARD_MIN_HEIGHT * (current === 'card' ? 1 - HYSTERESIS : 1 + HYSTERESIS);
+  const symbolMin = SYMBOL_MIN_HEIGHT * (current === 'dot' ? 1 + HYSTERESIS : 1 - HYSTERESIS);
+
+  if (height >= cardMin) return 'card';
+  if (height >= symbolMin) return 'symbol';
+  return 'dot';
+}
+
+/**
+ * Switch a tile's level (styles.css hides the parts each level drops)
+ * @param {THREE.CSS3DObject} object - Tile
+ * @param {string} level - 'card', 'symbol' or 'dot'
+ */
+function setLevel(object, level) {
+  if (levels.get(object) === level) return;
+  levels.set(object, level);
+  object.element.dataset.lod = level;
+}
+
+/**
+ * Move a tile on or off the layer the camera renders
+ * @param {THREE.CSS3DObject} object - Tile
+ * @param {boolean} isCulled - True to hide it
+ */
+function setCulled(object, isCulled) {
+  if (culled.has(object) === isCulled) return;
+
+  if (isCulled) {
+    culled.add(object);
+    object.layers.set(CULLED_LAYER);
+  } else {
+    culled.delete(object);
+    object.layers.set(0);
+  }
+}
@@ -1,20 +1,49 @@
 import './styles.css';
-import { initializeGoogleSignIn } from './auth.js';
-import { fetchPeopleData } from './sheets.js';
-import { createTilesFromData } from './tiles.js';
-import { generateLayoutTargets } from './layouts.js';
-import { transform } from './transform.js';
-import { initScene, addObjectsToScene } from './scene.js';
-import { initUI } from './ui.js';
+import { initializeGoogleSignIn, getAccessToken, signIn, signOut, switchAccount, AUTH_STATES } from './auth.js';
+import { initAccountMenu, loadUserProfile, getUserProfile, clearUserProfile, setAccountMenuVisible } from './profile.js';
+import { createSheetsSource, initOfflineSources } from './sources.js';
+import { parseSheetData } from './sheets.js';
+import { loadSheetSelection, saveSheetSelection, getDefaultSheetSelection, showSheetPicker } from './picker.js';
+import { resolveColumnMapping, showMappingDialog, saveMapping } from './mapping.js';
+import { setTileTemplate, getTileTemplate, loadTileTemplate, saveTileTemplate, showTemplateDialog } from './template.js';
+import { listFields } from './fields.js';
+import { DEFAULT_ENCODING, buildColorScale, setColorScale, renderLegend } from './colors.js';
+import { createTilesFromData, updateTile, refreshTiles } from './tiles.js';
+import { fade } from './transform.js';
+import { initScene, disposeScene, addObjectsToScene, removeObjectsFromScene } from './scene.js';
+import { initUI, updateLayoutData, applyLayout, applyFilter, applySettingsChange, initColorControls, initLayoutOptions, getOrderedObjects, getLayoutTarget } from './ui.js';
+import { initFilterPanel, refreshFacetValues, toggleFilterPanel } from './filters.js';
+import { clearLabels } from './labels.js';
+import './charts.js'; // Registers the scatter and bar chart layouts
+import './globe.js'; // Registers the country globe layout
+import { initSettingsPanel, toggleSettingsPanel } from './settings.js';
+import { initTileFocus, getFocusedObject, clearFocus } from './focus.js';
+import { startLiveSync, stopLiveSync, diffPeople, keyPeople } from './sync.js';
+import { initViewState } from './permalink.js';
+import { initKeyboardNavigation } from './keyboard.js';
+import { initDataTable, toggleDataTable, refreshDataTable } from './datatable.js';
+import { initExportMenu, toggleExportMenu } from './export.js';
+import { initImportReport, setImportReport, toggleImportReport } from './report.js';
+import { clearAvatarQueue } from './avatars.js';
+import { initLevelOfDetail } from './lod.js';
 
 // DOM elements
 const loginSection = document.getElementById('login-section');
 const appSection = document.getElementById('app-section');
 
+// Live sync animation constants
+const FLY_IN_DISTANCE = 4000; // New tiles start this far from the origin
+const FADE_DURATION = 1000; // milliseconds
+
 // Application state
 let sceneObjects = [];
-let layoutTargets = null;
+let peopleData = [];
+let currentSource = null;
+let columnSchema = null;
+let lastRows = null;
+let colorEncoding = DEFAULT_ENCODING;
 let isInitialized = false;
+let pickSheetOnSignIn = false; // The saved spreadsheet failed to load - offer the picker next time
 
 /**
  * Show login UI and hide app
@@ -43,9 +72,9 @@ function showError(message) {
 
 /**
  * Initialize the 3D visualization
- * @param {string} accessToken - OAuth access token
+ * @param {Object} source - Data source (see sources.js)
  */
-async function initializeVisualization(accessToken) {
+async function initializeVisualization(source) {
   if (isInitialized) {
     console.warn('Visualization already initialized');
     return;
@@ -54,26 +83,45 @@ async function initializeVisualization(accessToken) {
   try {
     showApp();
 
-    // Fetch data from Google Sheets
-    console.log('Fetching data from Google Sheets...');
-    let peopleData;
+    // Load data from the selected source
+    console.log(`Loading data from ${source.label}...`);
+    let rows;
+    try {
+      rows = await source.loadRows();
+    } catch (error) {
+      showError(error.message || `Failed to load data from ${source.label}.`);
+      showLogin();
+      return;
+    }
+
+    // Confirm which column feeds which tile field (saved per source after the first time)
+    const schema = rows.length > 1 ? await resolveColumnMapping(source.key, rows) : null;
+    if (rows.length > 1 && !schema) {
+      console.log('Column mapping cancelled');
+      showLogin();
+      return;
+    }
+
+    let loadedPeople = [];
     try {
-      peopleData = await fetchPeopleData(accessToken);
+      loadedPeople = rows.length > 1 ? parseRows(rows, schema, source) : [];
     } catch (error) {
-      showError(error.message || 'Failed to fetch data from Google Sheets.');
+      showError(error.message);
       showLogin();
       return;
     }
     
-    if (peopleData.length === 0) {
-      showError('No data found in spreadsheet. Please ensure your sheet has data rows.');
+    if (loadedPeople.length === 0) {
+      showError(`No data found in ${source.label}. Please ensure it has data rows.`);
       showLogin();
       return;
     }
 
     // Create tiles
     console.log('Creating tiles...');
-    const { objects } = createTilesFromData(peopleData);
+    setTileTemplate(loadTileTemplate(source.key));
+    updateColorScale(loadedPeople);
+    const { objects } = createTilesFromData(loadedPeople);
     sceneObjects = objects;
 
     // Initialize scene
@@ -87,24 +135,239 @@ async function initializeVisualization(accessToken) {
       return;
     }
 
-    // Generate layout targets
+    // Cards near the camera, symbols further out, dots far away; tiles outside the view are culled
+    initLevelOfDetail({ getObjects: () => sceneObjects });
+
+    // Initialize UI controls (generates layout targets)
     console.log('Generating layouts...');
-    layoutTargets = generateLayoutTargets(objects.length);
+    initFilterPanel(loadedPeople, applyFilter);
+    initUI(objects);
+    initColorControls(listFields(loadedPeople), colorEncoding, handleColorChange);
+    initLayoutOptions(listFields(loadedPeople));
+
+    // Set initial layout (the first registered one)
+    applyLayout(0); // Instant transition for initial layout
+
+    // Click a tile to fly to it and open its detail card
+    initTileFocus({ getObjects: () => sceneObjects, getOrderedObjects, getLayoutTarget });
+
+    // Number keys switch layouts, arrow keys move a tile cursor, Enter opens details
+    initKeyboardNavigation({ getOrderedObjects });
 
-    // Initialize UI controls
-    initUI(layoutTargets, objects);
+    // Restore a shared view from the URL and keep the URL in sync from here on
+    initViewState({ getObjects: () => sceneObjects });
 
-    // Set initial layout to TABLE
-    transform(objects, layoutTargets.table, 0); // Instant transition for initial layout
+    // Table view alternative to the 3D scene (same people, filter and selection)
+    initDataTable({ getObjects: () => sceneObjects });
 
+    // PNG snapshot of the view, CSV/JSON download of the people
+    initExportMenu({ getObjects: () => sceneObjects });
+
+    // Rows that were dropped, defaulted or coerced during import, plus repeated names
+    initImportReport({ getObjects: () => sceneObjects });
+
+    // Spreadsheet picker only applies to Google Sheets
+    const sheetButton = document.getElementById('btn-sheet');
+    if (sheetButton) sheetButton.hidden = source.type !== 'sheets';
+
+    peopleData = loadedPeople;
+    currentSource = source;
+    columnSchema = schema;
+    lastRows = rows;
     isInitialized = true;
     console.log('Visualization initialized successfully!');
+
+    // Keep polling the source so sheet edits show up without a reload
+    startLiveSync(source, handleSyncedRows);
   } catch (error) {
     showError(`Failed to initialize visualization: ${error.message}`);
     showLogin();
   }
 }
 
+/**
+ * Parse polled rows with the confirmed column mapping and apply them
+ * @param {Array<Array>} rows - Freshly loaded sheet rows
+ */
+function handleSyncedRows(rows) {
+  lastRows = rows;
+  applyPeopleUpdate(rows.length > 1 ? parseRows(rows, columnSchema, currentSource) : []);
+}
+
+/**
+ * Parse rows into people and refresh the import report with what was dropped, defaulted or coerced
+ * @param {Array<Array>} rows - Sheet rows (first row = headers)
+ * @param {Object} schema - Column mapping
+ * @param {Object} source - Data source the rows came from (its header row sets the reported row numbers)
+ * @returns {Array} People
+ */
+function parseRows(rows, schema, source) {
+  const issues = [];
+  const people = parseSheetData(rows, schema, issues);
+  setImportReport({ issues, people, firstRowNumber: (source?.selection?.headerRow || 1) + 1 });
+  return people;
+}
+
+/**
+ * Re-open the column mapping dialog for the loaded data and apply the new mapping
+ */
+async function editColumnMapping() {
+  if (!currentSource || !lastRows) {
+    return;
+  }
+
+  const schema = await showMappingDialog(lastRows, columnSchema);
+  if (!schema) {
+    return;
+  }
+
+  saveMapping(currentSource.key, schema);
+  columnSchema = schema;
+
+  try {
+    applyPeopleUpdate(parseRows(lastRows, schema, currentSource));
+  } catch (error) {
+    showError(error.message);
+  }
+}
+
+/**
+ * Apply a settings change: currency changes re-convert every amount, everything else is a layout change
+ * @param {Object} change - { type: 'layout' | 'transition' | 'currency', layoutId }
+ */
+function handleSettingsChange(change) {
+  if (change.type !== 'currency') {
+    applySettingsChange(change);
+    return;
+  }
+
+  if (!isInitialized) {
+    return;
+  }
+
+  // Net worth is converted while parsing, so re-parse; formats (currency, locale) change on every tile
+  try {
+    applyPeopleUpdate(parseRows(lastRows, columnSchema, currentSource));
+  } catch (error) {
+    showError(error.message);
+  }
+  updateColorScale(peopleData);
+  refreshTiles(sceneObjects);
+  updateLayoutData(sceneObjects); // Net worth band labels
+  refreshDataTable();
+}
+
+/**
+ * Rebuild the active color scale for a people list and redraw the legend
+ * @param {Array} people - People the scale is computed from
+ */
+function updateColorScale(people) {
+  const scale = buildColorScale(people, colorEncoding);
+  setColorScale(scale);
+  renderLegend(document.getElementById('color-legend'), scale);
+}
+
+/**
+ * Apply a color encoding chosen in the legend controls
+ * @param {Object} encoding - { field, type, bins }
+ */
+function handleColorChange(encoding) {
+  colorEncoding = encoding;
+  updateColorScale(peopleData);
+  refreshTiles(sceneObjects);
+}
+
+/**
+ * Open the tile template dialog and re-render every tile with the chosen template
+ */
+async function editTileTemplate() {
+  if (!currentSource) {
+    return;
+  }
+
+  const template = await showTemplateDialog(listFields(peopleData), getTileTemplate());
+  if (!template) {
+    return;
+  }
+
+  setTileTemplate(template);
+  saveTileTemplate(currentSource.key, template);
+  refreshTiles(sceneObjects);
+}
+
+/**
+ * Apply freshly polled data: fly in new tiles, fade out deleted ones,
+ * re-render changed ones and re-run the current layout for the new count
+ * @param {Array} nextPeople - Freshly loaded people
+ */
+function applyPeopleUpdate(nextPeople) {
+  const diff = diffPeople(sceneObjects.map(object => object.userData), nextPeople);
+  if (!diff.hasChanges) {
+    return;
+  }
+
+  console.log(`Live sync: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed`);
+
+  // Tiles are keyed the same way as people, in display order
+  const objectsByKey = new Map();
+  const displayedKeys = Array.from(keyPeople(sceneObjects.map(object => object.userData)).keys());
+  displayedKeys.forEach((key, index) => objectsByKey.set(key, sceneObjects[index]));
+
+  // Value ranges may have moved, so recolor every tile that stays on screen
+  updateColorScale(nextPeople);
+  const changedKeys = new Set(diff.changed.map(({ key }) => key));
+  refreshTiles(displayedKeys.filter(key => !changedKeys.has(key)).map(key => objectsByKey.get(key)));
+
+  // Deleted rows fade out, then leave the scene
+  const removedObjects = diff.removed.map(({ key }) => objectsByKey.get(key)).filter(Boolean);
+  if (removedObjects.includes(getFocusedObject())) clearFocus();
+  clearAvatarQueue(removedObjects);
+  fade(removedObjects, 0, FADE_DURATION, () => removeObjectsFromScene(removedObjects));
+
+  // Changed rows re-render in place (recolors on net worth change)
+  diff.changed.forEach(({ key, person }) => {
+    updateTile(objectsByKey.get(key), person, person.id);
+  });
+
+  // New rows fly in from outside the view
+  if (diff.added.length > 0) {
+    const { objects: addedObjects } = createTilesFromData(diff.added.map(({ person }) => person));
+    addedObjects.forEach((object, index) => {
+      placeOutsideView(object);
+      object.element.style.opacity = '0';
+      objectsByKey.set(diff.added[index].key, object);
+    });
+    addObjectsToScene(addedObjects);
+    fade(addedObjects, 1, FADE_DURATION);
+  }
+
+  sceneObjects = diff.order.map(key => objectsByKey.get(key)).filter(Boolean);
+  sceneObjects.forEach((object, index) => {
+    object.userData.index = index;
+  });
+  peopleData = nextPeople;
+  initColorControls(listFields(peopleData), colorEncoding, handleColorChange);
+  initLayoutOptions(listFields(peopleData));
+  refreshFacetValues(peopleData); // Refresh facet values before the filter is re-applied
+
+  updateLayoutData(sceneObjects);
+  refreshDataTable();
+}
+
+/**
+ * Move an object to a random point far outside the visible layout
+ * @param {THREE.CSS3DObject} object - Object to place
+ */
+function placeOutsideView(object) {
+  const theta = Math.random() * Math.PI * 2;
+  const phi = Math.acos(2 * Math.random() - 1);
+  object.position.set(
+    FLY_IN_DISTANCE * Math.sin(phi) * Math.cos(theta),
+    FLY_IN_DISTANCE * Math.sin(phi) * Math.sin(theta),
+    FLY_IN_DISTANCE * Math.cos(phi)
+  );
+}
+
 /**
  * Initialize Google authentication
  */
@@ -125,7 +388,8 @@ function initAuth() {
         }
       } else if (attempts >= maxAttempts) {
         clearInterval(checkGoogle);
-        showError('Google Identity Services failed to load. Please refresh the page.');
+        // Offline data sources remain usable, so don't block the user with an alert
+        console.warn('Google Identity Services failed to load. Refresh the page or load data offline.');
       }
     }, 200);
     
@@ -150,8 +414,131 @@ async function handleTokenReceived(event) {
     return;
   }
   
+  // Reconnecting while the data is on screen: live sync picks up the new token
+  if (isInitialized) {
+    return;
+  }
+
   console.log('Access token received');
-  await initializeVisualization(accessToken);
+  await loadUserProfile(accessToken); // Header + account name in access errors
+
+  // The first sign-in asks which spreadsheet and tab to show; later ones reuse the choice
+  let selection = loadSheetSelection();
+  if (!selection || pickSheetOnSignIn) {
+    selection = await showSheetPicker(accessToken, selection || getDefaultSheetSelection());
+    if (!selection) {
+      console.log('Spreadsheet selection cancelled');
+      return;
+    }
+    saveSheetSelection(selection);
+  }
+
+  await initializeVisualization(createSheetsSource(getAccessToken, selection));
+  pickSheetOnSignIn = !isInitialized;
+}
+
+/**
+ * Open the spreadsheet picker and reload the visualization with the chosen spreadsheet and tab
+ */
+async function changeSpreadsheet() {
+  const accessToken = getAccessToken();
+  if (!currentSource || currentSource.type !== 'sheets' || !accessToken) {
+    return;
+  }
+
+  const selection = await showSheetPicker(accessToken, currentSource.selection);
+  if (!selection) {
+    return;
+  }
+
+  saveSheetSelection(selection);
+  teardownVisualization();
+  await initializeVisualization(createSheetsSource(getAccessToken, selection));
+  pickSheetOnSignIn = !isInitialized;
+}
+
+/**
+ * Reload the data after the user picked another Google account
+ * @param {CustomEvent} event - Account switched event ({ accessToken })
+ */
+async function handleAccountSwitched(event) {
+  const previousId = getUserProfile()?.id;
+  const nextProfile = await loadUserProfile(event.detail.accessToken);
+
+  // Picking the same account again keeps the current view
+  if (previousId && nextProfile && nextProfile.id === previousId) {
+    return;
+  }
+
+  teardownVisualization();
+  await initializeVisualization(createSheetsSource(getAccessToken, loadSheetSelection() || getDefaultSheetSelection()));
+  pickSheetOnSignIn = !isInitialized;
+}
+
+/**
+ * Forget the user and tear down the visualization after sign-out
+ */
+function handleSignedOut() {
+  clearUserProfile();
+  teardownVisualization();
+  console.log('Signed out');
+}
+
+/**
+ * Show the account menu / reconnect button for the auth state (Google Sheets only)
+ * @param {CustomEvent} event - Auth state changed event ({ state })
+ */
+function handleAuthStateChanged(event) {
+  const { state } = event.detail;
+  const usesGoogle = !currentSource || currentSource.type === 'sheets';
+
+  setAccountMenuVisible(usesGoogle && state !== AUTH_STATES.SIGNED_OUT);
+
+  const reconnectButton = document.getElementById('btn-reconnect');
+  if (reconnectButton) reconnectButton.hidden = !usesGoogle || state !== AUTH_STATES.EXPIRED;
+
+  if (state === AUTH_STATES.EXPIRED && isInitialized) {
+    console.warn('Google session expired - live sync paused until you reconnect');
+  }
+}
+
+/**
+ * Tear down the visualization (sign-out, account switch, spreadsheet change) and return to the login screen
+ */
+function teardownVisualization() {
+  stopLiveSync();
+  clearFocus({ restoreView: false });
+  toggleDataTable(false);
+  toggleFilterPanel(false);
+  toggleSettingsPanel(false);
+  toggleExportMenu(false);
+  toggleImportReport(false);
+  clearLabels();
+  clearAvatarQueue();
+  disposeScene();
+
+  sceneObjects = [];
+  peopleData = [];
+  currentSource = null;
+  columnSchema = null;
+  lastRows = null;
+  isInitialized = false;
+
+  showLogin();
+}
+
+/**
+ * Handle offline data source selected event (file or static URL)
+ * @param {CustomEvent} event - Data source selected event
+ */
+async function handleSourceSelected(event) {
+  const { source } = event.detail;
+  if (!source) {
+    showError('No data source selected');
+    return;
+  }
+
+  await initializeVisualization(source);
 }
 
 /**
@@ -166,6 +553,13 @@ document.addEventListener('DOMContentLoaded', () => {
 
   showLogin();
 
+  // Listen for auth events before auth starts (a stored session signs in right away)
+  window.addEventListener('googleTokenReceived', handleTokenReceived);
+  window.addEventListener('authStateChanged', handleAuthStateChanged);
+  window.addEventListener('googleSignedOut', handleSignedOut);
+  window.addEventListener('googleAccountSwitched', handleAccountSwitched);
+  window.addEventListener('dataSourceSelected', handleSourceSelected);
+
   // Initialize authentication
   if (document.readyState === 'loading') {
     window.addEventListener('load', initAuth);
@@ -173,7 +567,34 @@ document.addEventListener('DOMContentLoaded', () => {
     initAuth();
   }
 
-  // Listen for token received event
-  window.addEventListener('googleTokenReceived', handleTokenReceived);
+  // Offline loaders (CSV/JSON file, static URL) work without a Google account
+  initOfflineSources();
+
+  const columnsButton = document.getElementById('btn-columns');
+  if (columnsButton) columnsButton.addEventListener('click', editColumnMapping);
+
+  const sheetButton = document.getElementById('btn-sheet');
+  if (sheetButton) sheetButton.addEventListener('click', changeSpreadsheet);
+
+  const templateButton = document.getElementById('btn-template');
+  if (templateButton) templateButton.addEventListener('click', editTileTemplate);
+
+  const filterButton = document.getElementById('btn-filter');
+  if (filterButton) filterButton.addEventListener('click', () => toggleFilterPanel());
+
+  initSettingsPanel(handleSettingsChange);
+  const settingsButton = document.getElementById('btn-settings');
+  if (settingsButton) settingsButton.addEventListener('click', () => toggleSettingsPanel());
+
+  const reportButton = document.getElementById('btn-report');
+  if (reportButton) reportButton.addEventListener('click', () => toggleImportReport());
+
+  const tableButton = document.getElementById('btn-table');
+  if (tableButton) tableButton.addEventListener('click', () => toggleDataTable());
+
+  const reconnectButton = document.getElementById('btn-reconnect');
+  if (reconnectButton) reconnectButton.addEventListener('click', signIn);
+
+  initAccountMenu({ onSwitchAccount: switchAccount, onSignOut: signOut });
 });
 
@@ -0,0 +1,307 @@
+// Column mapping - assign sheet columns to tile fields, validate them and persist the schema per source
+import { parseAmount } from './currency.js';
+
+const STORAGE_PREFIX = 'kasatria.columnMapping.';
+
+// Tile fields a sheet column can be assigned to
+// Synonyms are only used to pre-select columns in the mapping dialog
+export const TILE_FIELDS = [
+  { key: 'name', label: 'Name', type: 'text', required: true, synonyms: ['name', 'nama', 'full name', 'fullname', 'person'] },
+  { key: 'imageUrl', label: 'Photo', type: 'url', synonyms: ['photo', 'image', 'image url', 'imageurl', 'avatar', 'picture', 'img'] },
+  { key: 'age', label: 'Age', type: 'number', synonyms: ['age', 'umur', 'years'] },
+  { key: 'country', label: 'Country', type: 'text', synonyms: ['country', 'negara', 'nation', 'location'] },
+  { key: 'interest', label: 'Interest', type: 'text', synonyms: ['interest', 'interests', 'hobby', 'hobbies'] },
+  { key: 'netWorth', label: 'Net Worth', type: 'number', synonyms: ['net worth', 'networth', 'wealth', 'worth'] },
+];
+
+// Share of sampled values that must match a field's type before we warn
+const TYPE_MATCH_THRESHOLD = 0.8;
+const SAMPLE_SIZE = 50;
+const PREVIEW_SIZE = 3;
+
+/**
+ * Normalize a header cell for comparison
+ * @param {*} header - Raw header cell
+ * @returns {string} Lowercase, trimmed header
+ */
+export function normalizeHeader(header) {
+  return String(header ?? '').toLowerCase().trim();
+}
+
+/**
+ * Guess a schema from the header row
+ * Matches whole words only ("url" no longer matches "LinkedIn URL") and assigns each column at most once
+ * @param {Array<string>} headerRow - Raw header row
+ * @returns {Object} Schema: field key -> normalized header name (or null)
+ */
+export function detectColumnMapping(headerRow) {
+  const headers = headerRow.map(normalizeHeader);
+  const used = new Set();
+  const schema = {};
+
+  // Exact matches first so "name" is not claimed by a partial match elsewhere
+  TILE_FIELDS.forEach(field => {
+    const index = headers.findIndex((header, i) => !used.has(i) && field.synonyms.includes(header));
+    schema[field.key] = index !== -1 ? headers[index] : null;
+    if (index !== -1) used.add(index);
+  });
+
+  // Whole-word matches for anything still unassigned
+  TILE_FIELDS.forEach(field => {
+    if (schema[field.key]) return;
+    const index = headers.findIndex((header, i) => {
+      if (used.has(i)) return false;
+      const words = ` ${header.replace(/[^a-z0-9]+/g, ' ').trim()} `;
+      return field.synonyms.some(synonym => words.includes(` ${synonym} `));
+    });
+    if (index !== -1) {
+      schema[field.key] = headers[index];
+      used.add(index);
+    }
+  });
+
+  return schema;
+}
+
+/**
+ * Resolve a schema (header names) into column indices for a header row
+ * @param {Object} schema - Field key -> normalized header name
+ * @param {Array<string>} headerRow - Raw header row
+ * @returns {Object} Field key -> column index (-1 if unmapped or missing)
+ */
+export function resolveColumnIndices(schema, headerRow) {
+  const headers = headerRow.map(normalizeHeader);
+  const indices = {};
+
+  TILE_FIELDS.forEach(field => {
+    const header = schema?.[field.key];
+    indices[field.key] = header ? headers.indexOf(header) : -1;
+  });
+
+  return indices;
+}
+
+/**
+ * Validate a schema against the fetched rows
+ * @param {Object} schema - Field key -> normalized header name
+ * @param {Array<Array>} rows - Sheet rows (first row = headers)
+ * @returns {Object} { errors: string[], warnings: string[] }
+ */
+export function validateMapping(schema, rows) {
+  const errors = [];
+  const warnings = [];
+  const indices = resolveColumnIndices(schema, rows[0] || []);
+  const sample = rows.slice(1, SAMPLE_SIZE + 1);
+
+  TILE_FIELDS.forEach(field => {
+    const header = schema?.[field.key];
+
+    if (!header) {
+      if (field.required) errors.push(`${field.label} must be assigned to a column.`);
+      return;
+    }
+
+    if (indices[field.key] === -1) {
+      errors.push(`Column "${header}" for ${field.label} no longer exists.`);
+      return;
+    }
+
+    const values = sample
+      .map(row => row[indices[field.key]])
+      .filter(value => value != null && String(value).trim() !== '');
+    if (values.length === 0) {
+      warnings.push(`Column "${header}" (${field.label}) is empty.`);
+      return;
+    }
+
+    const matching = values.filter(value => matchesType(value, field.type)).length;
+    if (matching / values.length < TYPE_MATCH_THRESHOLD) {
+      warnings.push(`Only ${matching} of ${values.length} values in "${header}" look like a ${field.type} for ${field.label}.`);
+    }
+  });
+
+  return { errors, warnings };
+}
+
+/**
+ * Check whether a cell value looks like the given field type
+ * @param {*} value - Cell value
+ * @param {string} type - 'text', 'number' or 'url'
+ * @returns {boolean} True if the value fits the type
+ */
+function matchesType(value, type) {
+  const str = String(value).trim();
+
+  if (type === 'number') {
+    return parseAmount(str) !== null; // "1.2M", "€1.234,50", "USD 3bn" all count
+  }
+
+  if (type === 'url') {
+    return /^(https?:\/\/|\/|data:image\/)/i.test(str);
+  }
+
+  return true;
+}
+
+/**
+ * Load a saved schema for a source
+ * @param {string} sourceKey - Stable source identifier (e.g. spreadsheet ID)
+ * @returns {Object|null} Saved schema or null
+ */
+export function loadSavedMapping(sourceKey) {
+  try {
+    const saved = localStorage.getItem(STORAGE_PREFIX + sourceKey);
+    return saved ? JSON.parse(saved) : null;
+  } catch (error) {
+    console.warn('Unable to read saved column mapping:', error);
+    return null;
+  }
+}
+
+/**
+ * Persist a schema for a source
+ * @param {string} sourceKey - Stable source identifier (e.g. spreadsheet ID)
+ * @param {Object} schema - Field key -> normalized header name
+ */
+export function saveMapping(sourceKey, schema) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + sourceKey, JSON.stringify(schema));
+  } catch (error) {
+    console.warn('Unable to save column mapping:', error);
+  }
+}
+
+/**
+ * Get the schema for freshly fetched rows: reuse a saved, still-valid schema,
+ * otherwise ask the user to confirm or adjust the detected one
+ * @param {string} sourceKey - Stable source identifier
+ * @param {Array<Array>} rows - Sheet rows (first row = headers)
+ * @returns {Promise<Object|null>} Schema, or null if the user cancelled
+ */
+export async function resolveColumnMapping(sourceKey, rows) {
+  const saved = loadSavedMapping(sourceKey);
+  if (saved && validateMapping(saved, rows).errors.length === 0) {
+    console.log('Using saved column mapping for', sourceKey);
+    return saved;
+  }
+
+  const schema = await showMappingDialog(rows, saved || detectColumnMapping(rows[0]));
+  if (schema) {
+    saveMapping(sourceKey, schema);
+  }
+  return schema;
+}
+
+/**
+ * Show the column mapping dialog
+ * @param {Array<Array>} rows - Sheet rows (first row = headers)
+ * @param {Object} initialSchema - Schema to pre-select
+ * @returns {Promise<Object|null>} Confirmed schema, or null if cancelled
+ */
+export function showMappingDialog(rows, initialSchema) {
+  const headerRow = rows[0] || [];
+  const headers = headerRow.map(normalizeHeader);
+  const preview = rows.slice(1, PREVIEW_SIZE + 1);
+
+  return new Promise(resolve => {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = `
+      <div class="modal-card mapping-dialog" role="dialog" aria-modal="true" aria-labelledby="mapping-title">
+        <h2 id="mapping-title">Map your columns</h2>
+        <p class="modal-subtitle">Assign each column to a tile field, or ignore it.</p>
+        <div class="mapping-table-wrapper">
+          <table class="mapping-table">
+            <thead><tr><th>Column</th><th>Sample values</th><th>Tile field</th></tr></thead>
+            <tbody></tbody>
+          </table>
+        </div>
+        <ul class="mapping-messages" aria-live="polite"></ul>
+        <div class="modal-actions">
+          <button type="button" class="modal-btn" data-action="cancel">Cancel</button>
+          <button type="button" class="modal-btn primary" data-action="apply">Apply</button>
+        </div>
+      </div>
+    `;
+
+    const tbody = overlay.querySelector('tbody');
+    const messages = overlay.querySelector('.mapping-messages');
+    const applyButton = overlay.querySelector('[data-action="apply"]');
+    const selects = [];
+
+    headerRow.forEach((header, columnIndex) => {
+      const tr = document.createElement('tr');
+
+      const nameCell = document.createElement('td');
+      nameCell.className = 'mapping-header';
+      nameCell.textContent = String(header ?? '') || `Column ${columnIndex + 1}`;
+
+      const sampleCell = document.createElement('td');
+      sampleCell.className = 'mapping-sample';
+      sampleCell.textContent = preview
+        .map(row => row[columnIndex])
+        .filter(value => value != null && String(value).trim() !== '')
+        .join(', ');
+
+      const select = document.createElement('select');
+      select.setAttribute('aria-label', `Tile field for ${nameCell.textContent}`);
+      select.add(new Option('Ignore', ''));
+      TILE_FIELDS.forEach(field => select.add(new Option(field.label, field.key)));
+      select.value = TILE_FIELDS.find(field => initialSchema?.[field.key] === headers[columnIndex])?.key || '';
+      select.addEventListener('change', refresh);
+      selects.push(select);
+
+      const selectCell = document.createElement('td');
+      selectCell.appendChild(select);
+
+      tr.append(nameCell, sampleCell, selectCell);
+      tbody.appendChild(tr);
+    });
+
+    // Build the schema from the current selections, flagging fields assigned twice
+    function readSchema() {
+      const schema = {};
+      const duplicates = [];
+      TILE_FIELDS.forEach(field => { schema[field.key] = null; });
+
+      selects.forEach((select, columnIndex) => {
+        if (!select.value) return;
+        if (schema[select.value]) duplicates.push(select.value);
+        schema[select.value] = headers[columnIndex];
+      });
+
+      return { schema, duplicates };
+    }
+
+    function refresh() {
+      const { schema, duplicates } = readSchema();
+      const { errors, warnings } = validateMapping(schema, rows);
+      duplicates.forEach(key => {
+        errors.unshift(`${TILE_FIELDS.find(field => field.key === key).label} is assigned to more than one column.`);
+      });
+
+      messages.innerHTML = '';
+      errors.forEach(text => addMessage(text, 'error'));
+      warnings.forEach(text => addMessage(text, 'warning'));
+      applyButton.disabled = errors.length > 0;
+    }
+
+    function addMessage(text, type) {
+      const li = document.createElement('li');
+      li.className = `mapping-message ${type}`;
+      li.textContent = text;
+      messages.appendChild(li);
+    }
+
+    function close(result) {
+      overlay.remove();
+      resolve(result);
+    }
+
+    overlay.querySelector('[data-action="cancel"]').addEventListener('click', () => close(null));
+    applyButton.addEventListener('click', () => close(readSchema().schema));
+
+    document.body.appendChild(overlay);
+    refresh();
+  });
+}
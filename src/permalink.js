@@ -0,0 +1,215 @@
+// View permalinks - layout, sort, filters, selected tile and camera serialized into the URL hash
+import * as THREE from 'three';
+import { getViewState, setViewState } from './ui.js';
+import { DEFAULT_FILTER, getFilter, setFilter } from './filters.js';
+import { focusTile, clearFocus, getFocusedObject } from './focus.js';
+import { getControls, getCameraView, flyCameraTo } from './scene.js';
+import { keyPeople } from './sync.js';
+
+const HISTORY_COALESCE = 1000; // milliseconds; quicker successive changes share one history entry
+const CAMERA_SETTLE_DELAY = 400; // milliseconds without camera movement before the hash is updated
+
+// Filter ranges as hash parameters (value is "min..max", either side may be empty)
+const RANGE_PARAMS = [
+  { param: 'age', min: 'ageMin', max: 'ageMax' },
+  { param: 'networth', min: 'netWorthMin', max: 'netWorthMax' },
+];
+
+let getObjects = () => [];
+let isApplying = false;
+let lastChangeTime = 0;
+let cameraTimer = null;
+let isListening = false;
+
+/**
+ * Restore the view from the URL hash (once data has loaded) and keep the hash in sync
+ * @param {Object} options - { getObjects } - returns all tiles
+ */
+export function initViewState(options) {
+  getObjects = options.getObjects;
+
+  if (window.location.hash.length > 1) {
+    applyHash(window.location.hash, 0);
+  }
+  writeHash(false);
+
+  // Camera moves (orbiting, fly-tos) update the current entry once the camera settles
+  // (new controls come with every scene, e.g. after signing in again)
+  const controls = getControls();
+  if (controls) {
+    controls.addEventListener('change', () => {
+      clearTimeout(cameraTimer);
+      cameraTimer = setTimeout(() => writeHash(false), CAMERA_SETTLE_DELAY);
+    });
+  }
+
+  if (isListening) return;
+  isListening = true;
+
+  // Discrete changes (layout, sort, filters, selection) get history entries
+  window.addEventListener('viewStateChanged', () => writeHash(true));
+
+  // Back/forward (and hand-edited hashes) step through saved views
+  window.addEventListener('popstate', () => {
+    if (window.location.hash !== serializeViewState()) {
+      applyHash(window.location.hash);
+    }
+  });
+}
+
+/**
+ * Serialize the current view into a hash
+ * @returns {string} Hash including the leading "#"
+ */
+export function serializeViewState() {
+  const params = new URLSearchParams();
+  const view = getViewState();
+  const filter = getFilter();
+
+  if (view.layout) params.set('layout', view.layout);
+  if (view.sortBy) {
+    params.set('sort', view.sortBy);
+    params.set('dir', view.sortDirection);
+  }
+  if (view.groupBy) params.set('group', view.groupBy);
+
+  if (filter.query.trim()) params.set('q', filter.query);
+  filter.countries.forEach(country => params.append('country', country));
+  filter.interests.forEach(interest => params.append('interest', interest));
+  RANGE_PARAMS.forEach(range => {
+    if (filter[range.min] != null || filter[range.max] != null) {
+      params.set(range.param, `${filter[range.min] ?? ''}..${filter[range.max] ?? ''}`);
+    }
+  });
+  if (filter.collapse) params.set('collapse', '1');
+
+  const focused = getFocusedObject();
+  const tileKey = focused ? getTileKey(focused) : null;
+  if (tileKey) {
+    params.set('tile', tileKey);
+  } else {
+    const camera = getCameraView();
+    if (camera) {
+      params.set('cam', [...camera.position.toArray(), ...camera.target.toArray()].map(Math.round).join(','));
+    }
+  }
+
+  return `#${params.toString()}`;
+}
+
+/**
+ * Apply a hash to the view without recording new history
+ * @param {string} hash - URL hash
+ * @param {number} [duration] - Animation duration in milliseconds (0 jumps straight there)
+ */
+function applyHash(hash, duration) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+
+  isApplying = true;
+  try {
+    const filter = {
+      ...DEFAULT_FILTER,
+      query: params.get('q') || '',
+      countries: params.getAll('country'),
+      interests: params.getAll('interest'),
+      collapse: params.get('collapse') === '1',
+    };
+    RANGE_PARAMS.forEach(range => {
+      const [min = '', max = ''] = (params.get(range.param) || '').split('..');
+      filter[range.min] = parseBound(min);
+      filter[range.max] = parseBound(max);
+    });
+    setFilter(filter);
+
+    setViewState({
+      layout: params.get('layout'),
+      sortBy: params.get('sort'),
+      sortDirection: params.get('dir'),
+      groupBy: params.get('group'),
+    }, duration);
+
+    // A selected tile decides the camera; otherwise restore the saved camera
+    const tile = findTile(params.get('tile'));
+    if (tile) {
+      focusTile(tile);
+    } else {
+      clearFocus({ restoreView: false });
+      const camera = parseCamera(params.get('cam'));
+      if (camera) flyCameraTo(camera, duration);
+    }
+  } catch (error) {
+    console.warn('Could not restore view from URL:', error);
+  } finally {
+    isApplying = false;
+  }
+}
+
+/**
+ * Write the current view into the hash
+ * @param {boolean} isViewChange - True for discrete changes (new history entry), false for camera moves
+ */
+function writeHash(isViewChange) {
+  if (isApplying) return;
+
+  const hash = serializeViewState();
+  if (hash === window.location.hash) return;
+
+  const now = Date.now();
+  if (isViewChange && now - lastChangeTime > HISTORY_COALESCE) {
+    history.pushState(null, '', hash);
+  } else {
+    history.replaceState(null, '', hash);
+  }
+  if (isViewChange) lastChangeTime = now;
+}
+
+/**
+ * Stable key for a tile (name + country, disambiguated like live sync)
+ * @param {THREE.CSS3DObject} object - Tile
+ * @returns {string|null} Key
+ */
+function getTileKey(object) {
+  const objects = getObjects();
+  const keyed = keyPeople(objects.map(candidate => candidate.userData));
+  for (const [key, person] of keyed) {
+    if (person === object.userData) return key;
+  }
+  return null;
+}
+
+/**
+ * Find a tile by its key
+ * @param {string|null} key - Tile key from the hash
+ * @returns {THREE.CSS3DObject|null} Tile
+ */
+function findTile(key) {
+  if (!key) return null;
+  const objects = getObjects();
+  const person = keyPeople(objects.map(object => object.userData)).get(key);
+  return person ? objects.find(object => object.userData === person) || null : null;
+}
+
+/**
+ * Parse "px,py,pz,tx,ty,tz" into a camera view
+ * @param {string|null} value - Hash value
+ * @returns {Object|null} { position, target }
+ */
+function parseCamera(value) {
+  const numbers = String(value || '').split(',').map(Number);
+  if (numbers.length !== 6 || numbers.some(number => !Number.isFinite(number))) return null;
+  return {
+    position: new THREE.Vector3(numbers[0], numbers[1], numbers[2]),
+    target: new THREE.Vector3(numbers[3], numbers[4], numbers[5]),
+  };
+}
+
+/**
+ * Parse one side of a range ("" means no bound)
+ * @param {string} value - Bound text
+ * @returns {number|null} Bound
+ */
+function parseBound(value) {
+  if (value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
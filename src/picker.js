@@ -0,0 +1,258 @@
+// Spreadsheet picker - choose any spreadsheet (URL or ID), one of its tabs and the header row at runtime
+import { SPREADSHEET_ID, parseSpreadsheetId, fetchSpreadsheetMetadata, fetchSheetPreview } from './sheets.js';
+
+const STORAGE_KEY = 'kasatria.sheet';
+const PREVIEW_ROWS = 8; // Rows shown to help pick the header row
+const PREVIEW_COLUMNS = 6;
+
+/**
+ * Selection used before anything was picked: the build-time spreadsheet, first tab, header in row 1
+ * @returns {Object} Selection { spreadsheetId, spreadsheetTitle, sheetId, sheetTitle, headerRow }
+ */
+export function getDefaultSheetSelection() {
+  return { spreadsheetId: SPREADSHEET_ID, spreadsheetTitle: '', sheetId: null, sheetTitle: '', headerRow: 1 };
+}
+
+/**
+ * Load the spreadsheet selection saved in the browser
+ * @returns {Object|null} Selection, or null if nothing was picked yet
+ */
+export function loadSheetSelection() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    if (!saved || !saved.spreadsheetId || !saved.sheetTitle) return null;
+    return { ...getDefaultSheetSelection(), ...saved, headerRow: Math.max(1, Number(saved.headerRow) || 1) };
+  } catch (error) {
+    console.warn('Unable to read saved spreadsheet selection:', error);
+    return null;
+  }
+}
+
+/**
+ * Persist the spreadsheet selection
+ * @param {Object} selection - Selection (see getDefaultSheetSelection)
+ */
+export function saveSheetSelection(selection) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(selection));
+  } catch (error) {
+    console.warn('Unable to save spreadsheet selection:', error);
+  }
+}
+
+/**
+ * Describe a selection for labels and messages, e.g. "People › Sheet1"
+ * @param {Object} selection - Selection
+ * @returns {string} Label
+ */
+export function describeSheetSelection(selection) {
+  const spreadsheet = selection.spreadsheetTitle || 'Google Sheets';
+  return selection.sheetTitle ? `${spreadsheet} › ${selection.sheetTitle}` : spreadsheet;
+}
+
+/**
+ * Show the spreadsheet picker: paste a URL or ID, pick a tab from the spreadsheet's metadata
+ * and the header row from a preview of the tab's first rows
+ * @param {string} accessToken - OAuth access token
+ * @param {Object} [initial] - Selection to pre-fill (its spreadsheet's tabs load right away)
+ * @returns {Promise<Object|null>} Chosen selection, or null if cancelled
+ */
+export function showSheetPicker(accessToken, initial = getDefaultSheetSelection()) {
+  return new Promise(resolve => {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = `
+      <div class="modal-card sheet-picker" role="dialog" aria-modal="true" aria-labelledby="sheet-picker-title">
+        <h2 id="sheet-picker-title">Choose a spreadsheet</h2>
+        <p class="modal-subtitle">Paste a Google Sheets URL or ID, then pick the tab and the row that holds the column headers.</p>
+        <form class="sheet-picker-source">
+          <input type="text" name="spreadsheet" placeholder="https://docs.google.com/spreadsheets/d/…" aria-label="Spreadsheet URL or ID">
+          <button type="submit" class="modal-btn">Load tabs</button>
+        </form>
+        <p class="sheet-picker-status" aria-live="polite"></p>
+        <div class="sheet-picker-options">
+          <label>Tab <select name="tab" disabled></select></label>
+          <label>Header row <input type="number" name="headerRow" min="1" step="1" disabled></label>
+        </div>
+        <div class="sheet-picker-preview mapping-table-wrapper"></div>
+        <div class="modal-actions">
+          <button type="button" class="modal-btn" data-action="cancel">Cancel</button>
+          <button type="button" class="modal-btn primary" data-action="apply" disabled>Open</button>
+        </div>
+      </div>
+    `;
+
+    const sourceForm = overlay.querySelector('.sheet-picker-source');
+    const spreadsheetInput = sourceForm.elements.spreadsheet;
+    const status = overlay.querySelector('.sheet-picker-status');
+    const tabSelect = overlay.querySelector('[name="tab"]');
+    const headerRowInput = overlay.querySelector('[name="headerRow"]');
+    const preview = overlay.querySelector('.sheet-picker-preview');
+    const applyButton = overlay.querySelector('[data-action="apply"]');
+
+    let metadata = null;
+    let previewRows = [];
+    let requestId = 0; // Ignore responses that arrive after a newer request
+
+    spreadsheetInput.value = initial.spreadsheetId || '';
+    headerRowInput.value = String(initial.headerRow || 1);
+
+    // Fetch the tabs of the pasted spreadsheet
+    async function loadTabs() {
+      const spreadsheetId = parseSpreadsheetId(spreadsheetInput.value);
+      if (!spreadsheetId) {
+        setStatus('Enter a spreadsheet URL (…/spreadsheets/d/<id>/…) or its ID.', 'error');
+        return;
+      }
+
+      const request = ++requestId;
+      metadata = null;
+      previewRows = [];
+      tabSelect.innerHTML = '';
+      tabSelect.disabled = true;
+      headerRowInput.disabled = true;
+      preview.innerHTML = '';
+      refresh();
+      setStatus('Loading tabs…');
+
+      try {
+        const result = await fetchSpreadsheetMetadata(accessToken, spreadsheetId);
+        if (request !== requestId) return;
+        if (result.sheets.length === 0) {
+          setStatus('This spreadsheet has no tabs.', 'error');
+          return;
+        }
+
+        metadata = result;
+        result.sheets.forEach(sheet => {
+          const label = `${sheet.title} (${sheet.rowCount} rows × ${sheet.columnCount} columns)${sheet.hidden ? ' - hidden' : ''}`;
+          tabSelect.add(new Option(label, String(sheet.id)));
+        });
+
+        // Keep the previous tab when re-opening the same spreadsheet (matched by ID, so renamed tabs still match)
+        const previous = result.id === initial.spreadsheetId
+          && result.sheets.find(sheet => sheet.id === initial.sheetId || (initial.sheetId == null && sheet.title === initial.sheetTitle));
+        const selected = previous || result.sheets.find(sheet => !sheet.hidden) || result.sheets[0];
+        tabSelect.value = String(selected.id);
+        if (!previous) headerRowInput.value = '1';
+
+        tabSelect.disabled = false;
+        headerRowInput.disabled = false;
+        setStatus(result.title);
+        await loadPreview();
+      } catch (error) {
+        if (request !== requestId) return;
+        console.warn('Unable to load spreadsheet tabs:', error);
+        setStatus(error.message, 'error');
+      }
+    }
+
+    // Fetch the first rows of the chosen tab to preview the header row
+    async function loadPreview() {
+      const sheet = getSelectedSheet();
+      if (!sheet) return;
+
+      const request = ++requestId;
+      previewRows = [];
+      renderPreview();
+
+      try {
+        const rows = await fetchSheetPreview(accessToken, metadata.id, sheet.title, PREVIEW_ROWS);
+        if (request !== requestId) return;
+        previewRows = rows;
+        renderPreview();
+      } catch (error) {
+        if (request !== requestId) return;
+        console.warn('Unable to preview tab:', error);
+        preview.textContent = error.message;
+      }
+    }
+
+    // First rows of the tab, with the chosen header row highlighted
+    function renderPreview() {
+      const headerRow = getHeaderRow();
+      preview.innerHTML = '';
+      refresh();
+      if (previewRows.length === 0) return;
+
+      const columnCount = Math.max(...previewRows.map(row => row.length));
+      const table = document.createElement('table');
+      table.className = 'mapping-table sheet-picker-table';
+      table.setAttribute('aria-label', `First rows of the tab - header row ${headerRow} is highlighted`);
+
+      previewRows.forEach((row, index) => {
+        const tr = document.createElement('tr');
+        if (index + 1 === headerRow) tr.className = 'sheet-picker-header-row';
+
+        const numberCell = document.createElement('th');
+        numberCell.scope = 'row';
+        numberCell.textContent = String(index + 1);
+        tr.appendChild(numberCell);
+
+        for (let column = 0; column < Math.min(columnCount, PREVIEW_COLUMNS); column++) {
+          const td = document.createElement('td');
+          td.className = 'mapping-sample';
+          td.textContent = row[column] ?? '';
+          tr.appendChild(td);
+        }
+
+        if (columnCount > PREVIEW_COLUMNS) {
+          const more = document.createElement('td');
+          more.className = 'mapping-sample';
+          more.textContent = index === 0 ? `+${columnCount - PREVIEW_COLUMNS} more columns` : '';
+          tr.appendChild(more);
+        }
+
+        table.appendChild(tr);
+      });
+
+      preview.appendChild(table);
+    }
+
+    function getSelectedSheet() {
+      return metadata?.sheets.find(sheet => String(sheet.id) === tabSelect.value) || null;
+    }
+
+    function getHeaderRow() {
+      return Math.max(1, Math.floor(Number(headerRowInput.value)) || 1);
+    }
+
+    function setStatus(text, type = '') {
+      status.textContent = text;
+      status.className = `sheet-picker-status ${type}`.trim();
+    }
+
+    function refresh() {
+      const sheet = getSelectedSheet();
+      applyButton.disabled = !sheet || (sheet.rowCount > 0 && getHeaderRow() >= sheet.rowCount);
+    }
+
+    function close(result) {
+      overlay.remove();
+      resolve(result);
+    }
+
+    sourceForm.addEventListener('submit', event => {
+      event.preventDefault();
+      loadTabs();
+    });
+    tabSelect.addEventListener('change', loadPreview);
+    headerRowInput.addEventListener('input', renderPreview);
+
+    overlay.querySelector('[data-action="cancel"]').addEventListener('click', () => close(null));
+    applyButton.addEventListener('click', () => {
+      const sheet = getSelectedSheet();
+      close({
+        spreadsheetId: metadata.id,
+        spreadsheetTitle: metadata.title,
+        sheetId: sheet.id,
+        sheetTitle: sheet.title,
+        headerRow: getHeaderRow(),
+      });
+    });
+
+    document.body.appendChild(overlay);
+    spreadsheetInput.focus();
+    if (parseSpreadsheetId(spreadsheetInput.value)) loadTabs();
+  });
+}
@@ -0,0 +1,192 @@
+// Signed-in user profile - Google userinfo, header account menu (switch account / sign out)
+import { escapeHtml, getInitials } from './formats.js';
+
+const USERINFO_URL = 'https://www.googleapis.com/oauth2/v3/userinfo';
+
+let profile = null; // { id, name, email, picture }
+let menuActions = { onSwitchAccount: null, onSignOut: null };
+let isListening = false;
+
+/**
+ * Initialize the account menu in the toolbar
+ * @param {Object} actions - { onSwitchAccount, onSignOut }
+ */
+export function initAccountMenu(actions) {
+  menuActions = { ...menuActions, ...actions };
+
+  const button = document.getElementById('btn-account');
+  const menu = document.getElementById('account-dropdown');
+  if (!button || !menu) {
+    console.warn('Account menu not found');
+    return;
+  }
+
+  if (isListening) return;
+  isListening = true;
+
+  button.addEventListener('click', () => toggleAccountDropdown());
+
+  menu.addEventListener('click', event => {
+    const action = event.target.closest('[data-action]')?.dataset.action;
+    if (!action) return;
+
+    toggleAccountDropdown(false);
+    if (action === 'switch' && menuActions.onSwitchAccount) menuActions.onSwitchAccount();
+    if (action === 'signout' && menuActions.onSignOut) menuActions.onSignOut();
+  });
+
+  window.addEventListener('keydown', event => {
+    if (event.key === 'Escape' && !menu.hidden) {
+      toggleAccountDropdown(false);
+      button.focus();
+    }
+  });
+
+  // Clicking anywhere else closes the menu
+  document.addEventListener('pointerdown', event => {
+    if (!menu.hidden && !menu.contains(event.target) && !button.contains(event.target)) {
+      toggleAccountDropdown(false);
+    }
+  });
+}
+
+/**
+ * Fetch the signed-in user's profile and show it in the header
+ * Failures are logged and leave the header generic - they never block loading data
+ * @param {string} accessToken - OAuth access token
+ * @returns {Promise<Object|null>} Profile { id, name, email, picture }
+ */
+export async function loadUserProfile(accessToken) {
+  if (!accessToken) return null;
+
+  try {
+    const response = await fetch(USERINFO_URL, {
+      headers: { 'Authorization': `Bearer ${accessToken}` },
+    });
+    if (!response.ok) {
+      throw new Error(`Userinfo request failed (${response.status})`);
+    }
+
+    const data = await response.json();
+    profile = {
+      id: data.sub,
+      name: data.name || data.email || 'Google user',
+      email: data.email || '',
+      picture: data.picture || '',
+    };
+  } catch (error) {
+    console.warn('Could not load the Google profile:', error);
+    profile = null;
+  }
+
+  renderAccountMenu();
+  return profile;
+}
+
+/**
+ * Get the loaded profile
+ * @returns {Object|null} Profile { id, name, email, picture }
+ */
+export function getUserProfile() {
+  return profile;
+}
+
+/**
+ * Describe the signed-in account for messages, e.g. "Jane Doe (jane@example.com)"
+ * @returns {string} Account description ("your Google account" when unknown)
+ */
+export function describeAccount() {
+  if (!profile) return 'your Google account';
+  if (profile.email && profile.name !== profile.email) return `${profile.name} (${profile.email})`;
+  return profile.email || profile.name;
+}
+
+/**
+ * Forget the profile and hide the account menu (e.g. on sign-out)
+ */
+export function clearUserProfile() {
+  profile = null;
+  renderAccountMenu();
+}
+
+/**
+ * Show or hide the whole account menu
+ * @param {boolean} visible - True while signed in with Google
+ */
+export function setAccountMenuVisible(visible) {
+  const container = document.getElementById('account-menu');
+  if (container) container.hidden = !visible;
+  if (!visible) toggleAccountDropdown(false);
+}
+
+/**
+ * Show or hide the account dropdown
+ * @param {boolean} [visible] - Force a state; toggles when omitted
+ */
+function toggleAccountDropdown(visible) {
+  const button = document.getElementById('btn-account');
+  const menu = document.getElementById('account-dropdown');
+  if (!menu) return;
+
+  const show = visible ?? menu.hidden;
+  menu.hidden = !show;
+  if (button) button.setAttribute('aria-expanded', String(show));
+}
+
+/**
+ * Render the header button (avatar + name) and the dropdown for the current profile
+ */
+function renderAccountMenu() {
+  const button = document.getElementById('btn-account');
+  const menu = document.getElementById('account-dropdown');
+  if (!button || !menu) return;
+
+  const name = profile ? profile.name : 'Google account';
+  button.innerHTML = `
+    ${avatarHtml()}
+    <span class="account-name">${escapeHtml(name)}</span>
+  `;
+  button.setAttribute('aria-label', `Account: ${describeAccount()}`);
+
+  menu.innerHTML = `
+    <div class="account-summary">
+      ${avatarHtml('account-avatar-large')}
+      <div>
+        <div class="account-summary-name">${escapeHtml(name)}</div>
+        ${profile?.email ? `<div class="account-summary-email">${escapeHtml(profile.email)}</div>` : ''}
+      </div>
+    </div>
+    <button type="button" class="account-menu-item" data-action="switch">Switch account</button>
+    <button type="button" class="account-menu-item" data-action="signout">Sign out</button>
+  `;
+
+  // Broken photos fall back to initials
+  [button, menu].forEach(element => {
+    element.querySelectorAll('img[data-initials]').forEach(image => {
+      image.addEventListener('error', () => {
+        image.parentNode.textContent = image.dataset.initials;
+      });
+    });
+  });
+}
+
+/**
+ * Avatar markup: the Google photo, or initials when there is none (or it fails to load)
+ * @param {string} [extraClass] - Additional class
+ * @returns {string} HTML
+ */
+function avatarHtml(extraClass = '') {
+  const initials = escapeHtml(getInitials(profile?.name || '') || '?');
+  const className = `account-avatar ${extraClass}`.trim();
+
+  if (!profile?.picture) {
+    return `<span class="${className}" aria-hidden="true">${initials}</span>`;
+  }
+
+  // Google photo URLs reject requests with a referrer
+  return `
+    <span class="${className}" aria-hidden="true">
+      <img src="${escapeHtml(profile.picture)}" alt="" referrerpolicy="no-referrer" data-initials="${initials}">
+    </span>
+  `;
+}
@@ -0,0 +1,56 @@
+// Layout registry - layouts register an id, label, default parameters and a generator
+//
+// A generator is called as generate(items, params, options) and returns either an array of
+// THREE.Object3D targets in slot order (slot 0 gets the first item in sort order), or
+// { targets, labels?, order? } where order lists the item index for each slot when the
+// layout decides placement itself (e.g. grouping).
+
+const layouts = new Map();
+
+/**
+ * Register a layout (re-registering an id replaces it)
+ * @param {Object} definition - Layout definition
+ * @param {string} definition.id - Unique identifier
+ * @param {string} definition.label - Button label
+ * @param {Function} definition.generate - (items, params, options) => targets | { targets, labels, order }
+ * @param {Object} [definition.defaults] - Default parameters passed to the generator
+ * @param {Array<Object>} [definition.params] - Tunable parameters for the settings panel:
+ *   sliders { key, label, min, max, step }, field selects { key, label, type: 'field', fieldType: 'number'|'category' }
+ *   or checkboxes { key, label, type: 'boolean' }
+ * @param {boolean} [definition.groupable] - True if the layout arranges tiles by options.groupBy
+ * @returns {Object} The registered definition
+ */
+export function registerLayout(definition) {
+  if (!definition || !definition.id || typeof definition.generate !== 'function') {
+    throw new Error('A layout needs an id and a generate function');
+  }
+
+  const layout = {
+    label: definition.id.toUpperCase(),
+    defaults: {},
+    params: [],
+    groupable: false,
+    ...definition,
+  };
+  layouts.set(layout.id, layout);
+
+  window.dispatchEvent(new CustomEvent('layoutRegistered', { detail: { layout } }));
+  return layout;
+}
+
+/**
+ * Get a registered layout
+ * @param {string} id - Layout identifier
+ * @returns {Object|null} Layout definition
+ */
+export function getLayout(id) {
+  return layouts.get(id) || null;
+}
+
+/**
+ * List registered layouts in registration order
+ * @returns {Array<Object>} Layout definitions
+ */
+export function listLayouts() {
+  return Array.from(layouts.values());
+}
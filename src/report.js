@@ -0,0 +1,177 @@
+// Import report - every dropped, defaulted or coerced cell and every repeated name, by row and column
+import { escapeHtml } from './formats.js';
+import { keyPeople } from './sync.js';
+import { focusTile } from './focus.js';
+
+const ISSUE_KINDS = {
+  dropped: { label: 'Dropped', order: 0 },
+  coerced: { label: 'Coerced', order: 1 },
+  defaulted: { label: 'Defaulted', order: 2 },
+  duplicate: { label: 'Duplicate', order: 3 },
+};
+
+let report = { issues: [], people: [], firstRowNumber: 2 };
+let getObjects = () => [];
+let isListening = false;
+
+/**
+ * Enable the import report panel
+ * @param {Object} options - { getObjects } - returns all tiles (each tile's userData is a copy of its person)
+ */
+export function initImportReport(options) {
+  getObjects = options.getObjects;
+
+  const panel = document.getElementById('report-panel');
+  if (!panel) {
+    console.warn('Import report panel not found');
+    return;
+  }
+
+  if (isListening) return;
+  isListening = true;
+
+  // Entries are re-rendered on every import, so listen once on the panel
+  panel.addEventListener('click', event => {
+    if (event.target.closest('[data-action="close"]')) {
+      toggleImportReport(false);
+      return;
+    }
+
+    const entry = event.target.closest('[data-issue]');
+    const issue = entry && report.issues[Number(entry.dataset.issue)];
+    const object = issue && findTile(issue.person);
+    if (object) focusTile(object);
+  });
+}
+
+/**
+ * Replace the report with the issues of the latest import (initial load, live sync, new mapping)
+ * @param {Object} nextReport - { issues, people, firstRowNumber }
+ *   issues from parseSheetData, the people they were parsed with, and the sheet row number of the first data row
+ */
+export function setImportReport(nextReport) {
+  const previousSignature = getIssueSignature(report);
+  report = { firstRowNumber: 2, ...nextReport };
+
+  // Live sync reports the same issues on every poll; leave the open panel (and its scroll position) alone then
+  if (getIssueSignature(report) === previousSignature) return;
+  updateReportButton();
+
+  const panel = document.getElementById('report-panel');
+  if (panel && !panel.hidden) renderImportReport();
+}
+
+/**
+ * Show or hide the import report panel
+ * @param {boolean} [visible] - Force a state; toggles when omitted
+ */
+export function toggleImportReport(visible) {
+  const panel = document.getElementById('report-panel');
+  if (!panel) return;
+
+  const show = visible ?? panel.hidden;
+  if (show) renderImportReport();
+  panel.hidden = !show;
+}
+
+/**
+ * Compact description of a report's issues, to tell whether anything changed
+ * @param {Object} importReport - { issues, firstRowNumber }
+ * @returns {string} Signature
+ */
+function getIssueSignature(importReport) {
+  return JSON.stringify([
+    importReport.firstRowNumber,
+    importReport.issues.map(({ kind, rowIndex, column, value, message }) => [kind, rowIndex, column, value, message]),
+  ]);
+}
+
+/**
+ * Show the warning count on the toolbar button
+ */
+function updateReportButton() {
+  const button = document.getElementById('btn-report');
+  if (!button) return;
+
+  const count = report.issues.length;
+  button.textContent = count > 0 ? `Import report (${count})` : 'Import report';
+  button.classList.toggle('toolbar-btn-warning', count > 0);
+}
+
+/**
+ * Render the issues, sorted by row, with a summary per kind
+ */
+function renderImportReport() {
+  const panel = document.getElementById('report-panel');
+  if (!panel) return;
+
+  const counts = {};
+  report.issues.forEach(issue => {
+    counts[issue.kind] = (counts[issue.kind] || 0) + 1;
+  });
+
+  const entries = report.issues
+    .map((issue, index) => ({ issue, index }))
+    .sort((a, b) => a.issue.rowIndex - b.issue.rowIndex || ISSUE_KINDS[a.issue.kind].order - ISSUE_KINDS[b.issue.kind].order);
+
+  panel.innerHTML = `
+    <div class="panel-header">
+      <h2>Import report</h2>
+      <button type="button" class="panel-close" data-action="close" aria-label="Close import report">×</button>
+    </div>
+    <p class="report-summary">
+      ${report.people.length} rows imported.
+      ${report.issues.length === 0 ? 'No problems found.' : Object.entries(ISSUE_KINDS)
+        .filter(([kind]) => counts[kind])
+        .map(([kind, { label }]) => `${label}: ${counts[kind]}`)
+        .join(' · ')}
+    </p>
+    <ul class="report-list">
+      ${entries.map(({ issue, index }) => `
+        <li class="report-entry report-${issue.kind}">
+          ${issue.person ? `<button type="button" class="report-entry-btn" data-issue="${index}" title="Show this tile">` : '<div class="report-entry-btn">'}
+            <span class="report-location">Row ${rowNumber(issue.rowIndex)} · ${escapeHtml(issue.column)}</span>
+            <span class="report-kind">${ISSUE_KINDS[issue.kind].label}</span>
+            <span class="report-message">${escapeHtml(describeIssue(issue))}</span>
+          ${issue.person ? '</button>' : '</div>'}
+        </li>
+      `).join('')}
+    </ul>
+  `;
+}
+
+/**
+ * Human-readable description of an issue, including the offending value
+ * @param {Object} issue - Issue from parseSheetData
+ * @returns {string} Description
+ */
+function describeIssue(issue) {
+  if (issue.kind === 'duplicate') {
+    return `${issue.message} "${issue.value}" - also in row ${rowNumber(issue.duplicateOf)}`;
+  }
+  return issue.value != null ? `${issue.message} (was "${issue.value}")` : issue.message;
+}
+
+/**
+ * Sheet row number of a data row
+ * @param {number} rowIndex - Data row index (0 = first row after the headers)
+ * @returns {number} Row number as shown in the spreadsheet
+ */
+function rowNumber(rowIndex) {
+  return report.firstRowNumber + rowIndex;
+}
+
+/**
+ * Find the tile showing a reported person
+ * Tiles hold a copy of their person (possibly from an earlier parse), so they are matched by sync key
+ * @param {Object|null} person - Person from the report
+ * @returns {THREE.CSS3DObject|null} Tile
+ */
+function findTile(person) {
+  if (!person) return null;
+
+  const objects = getObjects();
+  const key = Array.from(keyPeople(report.people)).find(([, candidate]) => candidate === person)?.[0];
+  const displayedKeys = Array.from(keyPeople(objects.map(object => object.userData)).keys());
+  return objects[displayedKeys.indexOf(key)] || null;
+}
@@ -1,7 +1,9 @@
 import * as THREE from 'three';
 import { CSS3DRenderer } from 'three/examples/jsm/renderers/CSS3DRenderer.js';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
-import { update as updateTween } from './transform.js';
+import * as TWEEN from '@tweenjs/tween.js';
+import { update as updateTween, prefersReducedMotion } from './transform.js';
+import { updateLevelOfDetail } from './lod.js';
 
 let scene, camera, renderer, controls, container;
 
@@ -13,6 +15,13 @@ const CAMERA_CONFIG = {
   INITIAL_POSITION: { x: 0, y: 0, z: 1000 },
 };
 
+const CAMERA_FLY_DURATION = 1200; // milliseconds
+const FRAME_MARGIN = 1.1; // Breathing room around framed bounds
+
+let cameraTween = null;
+let animationFrame = null;
+let renderRequested = false;
+
 const CONTROLS_CONFIG = {
   ENABLE_DAMPING: true,
   DAMPING_FACTOR: 0.1,
@@ -66,9 +75,31 @@ export function initScene() {
   window.addEventListener('resize', onWindowResize);
 
   // Start animation loop
+  renderRequested = true;
   animate();
 }
 
+/**
+ * Tear down the scene (e.g. on sign-out): stop rendering, remove the renderer and release the controls
+ * initScene can be called again afterwards
+ */
+export function disposeScene() {
+  if (animationFrame !== null) cancelAnimationFrame(animationFrame);
+  animationFrame = null;
+
+  if (cameraTween) cameraTween.stop();
+  cameraTween = null;
+
+  window.removeEventListener('resize', onWindowResize);
+  if (controls) controls.dispose();
+  if (scene) scene.clear();
+  if (renderer && renderer.domElement.parentNode) {
+    renderer.domElement.parentNode.removeChild(renderer.domElement);
+  }
+
+  scene = camera = renderer = controls = null;
+}
+
 /**
  * Add objects to scene
  */
@@ -76,6 +107,25 @@ export function addObjectsToScene(objects) {
   objects.forEach(obj => {
     scene.add(obj);
   });
+  requestRender();
+}
+
+/**
+ * Remove objects from scene
+ */
+export function removeObjectsFromScene(objects) {
+  objects.forEach(obj => {
+    scene.remove(obj);
+  });
+  requestRender();
+}
+
+/**
+ * Render on the next frame - for changes to objects made outside tweens and camera controls
+ * (e.g. positions set directly, tiles shown or hidden); tweens and camera movement render by themselves
+ */
+export function requestRender() {
+  renderRequested = true;
 }
 
 /**
@@ -92,6 +142,79 @@ export function getCamera() {
   return camera;
 }
 
+/**
+ * Get OrbitControls reference
+ */
+export function getControls() {
+  return controls;
+}
+
+/**
+ * Get the current camera view (position + orbit target)
+ * @returns {Object|null} { position, target } as THREE.Vector3 copies
+ */
+export function getCameraView() {
+  if (!camera || !controls) return null;
+  return {
+    position: camera.position.clone(),
+    target: controls.target.clone(),
+  };
+}
+
+/**
+ * Animate the camera and orbit target to a new view
+ * @param {Object} view - { position, target } (anything with x, y, z)
+ * @param {number} duration - Animation duration in milliseconds
+ */
+export function flyCameraTo(view, duration = CAMERA_FLY_DURATION) {
+  if (!camera || !controls || !view) return;
+
+  if (cameraTween) cameraTween.stop();
+  if (prefersReducedMotion()) duration = 0;
+
+  const state = {
+    px: camera.position.x, py: camera.position.y, pz: camera.position.z,
+    tx: controls.target.x, ty: controls.target.y, tz: controls.target.z,
+  };
+
+  cameraTween = new TWEEN.Tween(state)
+    .to({
+      px: view.position.x, py: view.position.y, pz: view.position.z,
+      tx: view.target.x, ty: view.target.y, tz: view.target.z,
+    }, duration)
+    .easing(TWEEN.Easing.Cubic.InOut)
+    .onUpdate(() => {
+      camera.position.set(state.px, state.py, state.pz);
+      controls.target.set(state.tx, state.ty, state.tz);
+    })
+    .onComplete(() => {
+      cameraTween = null;
+    })
+    .start();
+}
+
+/**
+ * Fly the camera to look straight at a bounding box, close enough that it fills the view
+ * @param {THREE.Box3} box - Bounds to frame
+ * @param {number} duration - Animation duration in milliseconds
+ */
+export function frameBounds(box, duration = CAMERA_FLY_DURATION) {
+  if (!camera || !box || box.isEmpty()) return;
+
+  const center = box.getCenter(new THREE.Vector3());
+  const size = box.getSize(new THREE.Vector3());
+  const halfFovY = THREE.MathUtils.degToRad(camera.fov / 2);
+  const halfFovX = Math.atan(Math.tan(halfFovY) * camera.aspect);
+
+  // Distance to the front face of the box, plus half its depth to reach the center
+  const distance = Math.max(size.y / 2 / Math.tan(halfFovY), size.x / 2 / Math.tan(halfFovX)) * FRAME_MARGIN + size.z / 2;
+
+  flyCameraTo({
+    position: new THREE.Vector3(center.x, center.y, center.z + distance),
+    target: center,
+  }, duration);
+}
+
 /**
  * Handle window resize
  */
@@ -101,23 +224,28 @@ function onWindowResize() {
   camera.aspect = container.clientWidth / container.clientHeight;
   camera.updateProjectionMatrix();
   renderer.setSize(container.clientWidth, container.clientHeight);
+  requestRender();
 }
 
 /**
  * Animation loop
+ * Renders on demand: only while tweens run, the camera moves (including damping) or a render was requested.
+ * Idle frames just poll, so a still scene costs no DOM work however many tiles it has
  */
 function animate() {
-  requestAnimationFrame(animate);
-  
+  animationFrame = requestAnimationFrame(animate);
+
   // Update TWEEN animations
-  updateTween();
-  
-  if (controls) {
-    controls.update();
-  }
-  
+  const tweening = updateTween();
+
+  // OrbitControls report whether the camera moved (user input, damping or a camera tween)
+  const cameraMoved = controls ? controls.update() : false;
+
+  if (!tweening && !cameraMoved && !renderRequested) return;
+  renderRequested = false;
+
   if (renderer && scene && camera) {
+    updateLevelOfDetail(camera, renderer.getSize().height);
     renderer.render(scene, camera);
   }
 }
-
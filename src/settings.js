@@ -0,0 +1,369 @@
+// Settings panel - runtime layout parameters and transition duration/easing, saved in localStorage
+import { getLayout } from './registry.js';
+import { EASINGS, DEFAULT_EASING } from './transform.js';
+import { escapeHtml } from './formats.js';
+import { getGroupOptions } from './groups.js';
+import { NUMBER_LOCALES, getCurrencySettings, updateCurrencySettings, getRates, parseRateTable, formatRateTable } from './currency.js';
+
+const STORAGE_KEY = 'kasatria.settings';
+
+export const DEFAULT_TRANSITION = {
+  duration: 2000, // milliseconds
+  easing: DEFAULT_EASING,
+};
+
+const DURATION_RANGE = { min: 0, max: 5000, step: 100 };
+
+let settings = loadSettings();
+let currentLayoutId = null;
+let onSettingsChange = null;
+let availableFields = [];
+
+/**
+ * Get the saved parameter overrides for a layout
+ * @param {string} layoutId - Registered layout id
+ * @returns {Object} Overrides to merge over the layout defaults
+ */
+export function getLayoutParams(layoutId) {
+  return { ...(settings.layouts[layoutId] || {}) };
+}
+
+/**
+ * Get the transition settings
+ * @returns {Object} { duration, easing }
+ */
+export function getTransitionSettings() {
+  return { ...settings.transition };
+}
+
+/**
+ * Initialize the settings panel
+ * @param {Function} onChange - Called with { type: 'layout', layoutId } or { type: 'transition' } on every change
+ */
+export function initSettingsPanel(onChange) {
+  onSettingsChange = onChange;
+}
+
+/**
+ * Set the fields offered by field parameters (e.g. chart axes)
+ * Only the field selects of the open panel are refilled, so sliders being dragged and focus are left alone
+ * @param {Array<Object>} fields - Available fields (see listFields)
+ */
+export function setFieldOptions(fields) {
+  const unchanged = JSON.stringify(fields) === JSON.stringify(availableFields);
+  availableFields = fields;
+  if (unchanged) return;
+
+  const panel = document.getElementById('settings-panel');
+  const layout = getLayout(currentLayoutId);
+  if (!panel || !layout) return;
+
+  const params = { ...layout.defaults, ...getLayoutParams(currentLayoutId) };
+  panel.querySelectorAll('select[data-field-type]').forEach(select => fillFieldSelect(select, params[select.dataset.param]));
+}
+
+/**
+ * Render the settings panel for the active layout
+ * @param {string} layoutId - Active layout id
+ */
+export function renderSettingsPanel(layoutId) {
+  const panel = document.getElementById('settings-panel');
+  if (!panel) {
+    console.warn('Settings panel not found');
+    return;
+  }
+
+  currentLayoutId = layoutId;
+  const layout = getLayout(layoutId);
+  const params = layout ? { ...layout.defaults, ...getLayoutParams(layoutId) } : {};
+  const { duration, easing } = settings.transition;
+
+  panel.innerHTML = `
+    <div class="panel-header">
+      <h2>Settings</h2>
+      <button type="button" class="panel-close" data-action="close" aria-label="Close settings">×</button>
+    </div>
+    <fieldset class="filter-group">
+      <legend>Transition</legend>
+      ${sliderHtml('duration', 'Duration (ms)', duration, DURATION_RANGE)}
+      <label class="settings-field">
+        <span>Easing</span>
+        <select class="settings-select" data-setting="easing">
+          ${Object.entries(EASINGS).map(([key, preset]) => `
+            <option value="${key}" ${key === easing ? 'selected' : ''}>${escapeHtml(preset.label)}</option>
+          `).join('')}
+        </select>
+      </label>
+    </fieldset>
+    ${currencySettingsHtml()}
+    ${layout && layout.params.length > 0 ? `
+      <fieldset class="filter-group">
+        <legend>${escapeHtml(layout.label)} layout</legend>
+        ${layout.params.map(param => paramHtml(param, params[param.key])).join('')}
+        <button type="button" class="modal-btn" data-action="reset">Reset to defaults</button>
+      </fieldset>
+    ` : ''}
+  `;
+
+  panel.querySelector('[data-action="close"]').addEventListener('click', () => toggleSettingsPanel(false));
+
+  const durationInput = panel.querySelector('[data-setting="duration"]');
+  durationInput.addEventListener('input', () => {
+    showSliderValue(durationInput);
+    updateSettings({ transition: { ...settings.transition, duration: Number(durationInput.value) } });
+    notifyChange({ type: 'transition' });
+  });
+
+  const easingSelect = panel.querySelector('[data-setting="easing"]');
+  easingSelect.addEventListener('change', () => {
+    updateSettings({ transition: { ...settings.transition, easing: easingSelect.value } });
+    notifyChange({ type: 'transition' });
+  });
+
+  panel.querySelectorAll('select[data-currency]').forEach(select => {
+    select.addEventListener('change', () => {
+      updateCurrencySettings({ [select.dataset.currency]: select.value });
+      notifyChange({ type: 'currency' });
+    });
+  });
+
+  panel.querySelector('[data-action="apply-rates"]').addEventListener('click', () => {
+    const { rates, errors } = parseRateTable(panel.querySelector('[data-currency-rates]').value);
+
+    // A table that didn't parse would leave only USD and zero out every other amount - keep the current one
+    const recognized = Object.keys(rates || {}).filter(code => code !== 'USD');
+    if (recognized.length === 0) {
+      alert(`No exchange rates were recognized, so the current table is kept.\n\n${errors.join('\n')}`);
+      return;
+    }
+
+    const { displayCurrency } = getCurrencySettings();
+    if (!rates[displayCurrency]) {
+      errors.push(`There is no rate for the display currency ${displayCurrency} - amounts would be shown in USD.`);
+    }
+    if (errors.length > 0 && !confirm(`Some of the table could not be used:\n\n${errors.join('\n')}\n\nApply the ${recognized.length} rates that were recognized?`)) {
+      return;
+    }
+
+    updateCurrencySettings({ rates });
+    renderSettingsPanel(layoutId);
+    notifyChange({ type: 'currency' });
+  });
+
+  panel.querySelector('[data-action="reset-rates"]').addEventListener('click', () => {
+    updateCurrencySettings({ rates: null });
+    renderSettingsPanel(layoutId);
+    notifyChange({ type: 'currency' });
+  });
+
+  panel.querySelectorAll('input[type="checkbox"][data-param]').forEach(input => {
+    input.addEventListener('change', () => updateLayoutParam(layoutId, input.dataset.param, input.checked));
+  });
+
+  panel.querySelectorAll('input[type="range"][data-param]').forEach(input => {
+    input.addEventListener('input', () => {
+      showSliderValue(input);
+      updateLayoutParam(layoutId, input.dataset.param, Number(input.value));
+    });
+  });
+
+  panel.querySelectorAll('select[data-field-type]').forEach(select => fillFieldSelect(select, params[select.dataset.param]));
+
+  panel.querySelectorAll('select[data-param]').forEach(select => {
+    select.addEventListener('change', () => updateLayoutParam(layoutId, select.dataset.param, select.value));
+  });
+
+  const resetButton = panel.querySelector('[data-action="reset"]');
+  if (resetButton) {
+    resetButton.addEventListener('click', () => {
+      const layouts = { ...settings.layouts };
+      delete layouts[layoutId];
+      updateSettings({ layouts });
+      renderSettingsPanel(layoutId);
+      notifyChange({ type: 'layout', layoutId });
+    });
+  }
+}
+
+/**
+ * Show or hide the settings panel
+ * @param {boolean} [visible] - Force a state; toggles when omitted
+ */
+export function toggleSettingsPanel(visible) {
+  const panel = document.getElementById('settings-panel');
+  if (!panel) return;
+
+  const show = visible ?? panel.hidden;
+  if (show && currentLayoutId) renderSettingsPanel(currentLayoutId);
+  panel.hidden = !show;
+}
+
+/**
+ * Save one layout parameter and notify listeners
+ * @param {string} layoutId - Layout id
+ * @param {string} key - Parameter key
+ * @param {number|string|boolean} value - New value
+ */
+function updateLayoutParam(layoutId, key, value) {
+  const overrides = { ...getLayoutParams(layoutId), [key]: value };
+  updateSettings({ layouts: { ...settings.layouts, [layoutId]: overrides } });
+  notifyChange({ type: 'layout', layoutId });
+}
+
+/**
+ * Control markup for a layout parameter: slider, field select or checkbox
+ * @param {Object} param - Parameter descriptor (see registerLayout)
+ * @param {*} value - Current value
+ * @returns {string} HTML
+ */
+function paramHtml(param, value) {
+  if (param.type === 'field') return fieldSelectHtml(param);
+  if (param.type === 'boolean') {
+    return `
+      <label class="filter-toggle">
+        <input type="checkbox" data-param="${escapeHtml(param.key)}" ${value ? 'checked' : ''}> ${escapeHtml(param.label)}
+      </label>
+    `;
+  }
+  return sliderHtml(param.key, param.label, value, param, 'param');
+}
+
+/**
+ * Currency and number format controls: display currency, currency of bare amounts,
+ * number format and the exchange rate table (editable, units per 1 USD)
+ * @returns {string} HTML
+ */
+function currencySettingsHtml() {
+  const { displayCurrency, defaultCurrency, locale, rates } = getCurrencySettings();
+  const codes = Object.keys(getRates()).sort();
+  const currencyOptions = selected => codes.map(code => `
+    <option value="${escapeHtml(code)}" ${code === selected ? 'selected' : ''}>${escapeHtml(code)}</option>
+  `).join('');
+
+  return `
+    <fieldset class="filter-group">
+      <legend>Currency &amp; numbers</legend>
+      <label class="settings-field">
+        <span>Display currency</span>
+        <select class="settings-select" data-currency="displayCurrency">${currencyOptions(displayCurrency)}</select>
+      </label>
+      <label class="settings-field">
+        <span>Amounts without a currency are in</span>
+        <select class="settings-select" data-currency="defaultCurrency">${currencyOptions(defaultCurrency)}</select>
+      </label>
+      <label class="settings-field">
+        <span>Number format</span>
+        <select class="settings-select" data-currency="locale">
+          <option value="" ${locale ? '' : 'selected'}>Browser default (${escapeHtml((1234567.89).toLocaleString())})</option>
+          ${NUMBER_LOCALES.map(code => `
+            <option value="${code}" ${code === locale ? 'selected' : ''}>${code} (${escapeHtml((1234567.89).toLocaleString(code))})</option>
+          `).join('')}
+        </select>
+      </label>
+      <label class="settings-field">
+        <span>Exchange rates - units per 1 USD (${rates ? 'custom' : 'bundled, January 2024'})</span>
+        <textarea class="settings-rates" rows="6" spellcheck="false" data-currency-rates>${escapeHtml(formatRateTable(getRates()))}</textarea>
+      </label>
+      <div class="settings-actions">
+        <button type="button" class="modal-btn" data-action="apply-rates">Apply rates</button>
+        <button type="button" class="modal-btn" data-action="reset-rates" ${rates ? '' : 'disabled'}>Use bundled</button>
+      </div>
+    </fieldset>
+  `;
+}
+
+/**
+ * Select markup for a field parameter; the options are added by fillFieldSelect
+ * @param {Object} param - { key, label, fieldType: 'number'|'category' }
+ * @returns {string} HTML
+ */
+function fieldSelectHtml(param) {
+  return `
+    <label class="settings-field">
+      <span>${escapeHtml(param.label)}</span>
+      <select class="settings-select" data-param="${escapeHtml(param.key)}" data-field-type="${escapeHtml(param.fieldType)}"></select>
+    </label>
+  `;
+}
+
+/**
+ * Fill a field parameter select with the available fields
+ * Options are built with the DOM because field keys and labels are sheet headers
+ * @param {HTMLSelectElement} select - Select rendered by fieldSelectHtml
+ * @param {string} value - Selected field key
+ */
+function fillFieldSelect(select, value) {
+  const options = select.dataset.fieldType === 'category'
+    ? getGroupOptions(availableFields)
+    : availableFields.filter(field => field.type === 'number');
+
+  select.innerHTML = '';
+  options.forEach(option => select.add(new Option(option.label, option.key)));
+  select.value = value ?? '';
+}
+
+/**
+ * Slider markup with its current value
+ * @param {string} key - Setting or parameter key
+ * @param {string} label - Visible label
+ * @param {number} value - Current value
+ * @param {Object} range - { min, max, step }
+ * @param {string} kind - 'setting' for transition settings, 'param' for layout parameters
+ * @returns {string} HTML
+ */
+function sliderHtml(key, label, value, range, kind = 'setting') {
+  return `
+    <label class="settings-field">
+      <span>${escapeHtml(label)} <output>${value}</output></span>
+      <input type="range" data-${kind}="${escapeHtml(key)}"
+        min="${range.min}" max="${range.max}" step="${range.step}" value="${value}">
+    </label>
+  `;
+}
+
+/**
+ * Mirror a slider's value into its <output>
+ * @param {HTMLInputElement} input - Range input
+ */
+function showSliderValue(input) {
+  const output = input.closest('.settings-field').querySelector('output');
+  if (output) output.textContent = input.value;
+}
+
+/**
+ * Merge changes into the settings and save them
+ * @param {Object} changes - Partial settings
+ */
+function updateSettings(changes) {
+  settings = { ...settings, ...changes };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.warn('Could not save settings:', error);
+  }
+}
+
+/**
+ * Load saved settings
+ * @returns {Object} { transition, layouts }
+ */
+function loadSettings() {
+  const defaults = { transition: { ...DEFAULT_TRANSITION }, layouts: {} };
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    if (!saved || typeof saved !== 'object') return defaults;
+
+    const transition = { ...defaults.transition, ...saved.transition };
+    if (!EASINGS[transition.easing]) transition.easing = DEFAULT_EASING;
+    if (!Number.isFinite(transition.duration)) transition.duration = DEFAULT_TRANSITION.duration;
+
+    return { transition, layouts: saved.layouts && typeof saved.layouts === 'object' ? saved.layouts : {} };
+  } catch (error) {
+    console.warn('Ignoring saved settings:', error);
+    return defaults;
+  }
+}
+
+function notifyChange(change) {
+  if (onSettingsChange) onSettingsChange(change);
+}
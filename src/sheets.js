@@ -1,109 +1,135 @@
 // Google Sheets API Integration
+import { detectColumnMapping, resolveColumnIndices, normalizeHeader } from './mapping.js';
+import { parseAmount, convertAmount, resolveCurrencyCode, getDisplayCurrency } from './currency.js';
+import { describeAccount } from './profile.js';
+
+// Default spreadsheet (build-time); any spreadsheet can be picked at runtime with the Sheet picker
 export const SPREADSHEET_ID = import.meta.env.VITE_SPREADSHEET_ID || "";
-// Sheet range - try without sheet name first (uses first sheet by default)
-// If your sheet has a different name, change this to: "YourSheetName!A:Z"
-export const SHEET_RANGE = "A:Z"; // This will use the first sheet by default
 
 const SHEETS_API_BASE = 'https://sheets.googleapis.com/v4/spreadsheets';
-
-// Column name mappings for flexible header detection
-// Expected order: Name, Photo, Age, Country, Interest, Net Worth
-const COLUMN_MAPPINGS = {
-  name: ['name', 'nama', 'full name', 'fullname', 'person'],
-  country: ['country', 'negara', 'nation', 'location'],
-  netWorth: ['networth', 'net worth', 'wealth', 'value', 'worth', 'net'],
-  imageUrl: ['photo', 'image', 'imageurl', 'avatar', 'picture', 'img', 'url'],
-  age: ['age', 'umur', 'years'],
-  interest: ['interest', 'hobby', 'hobbies', 'interests']
-};
+// Unmapped columns that give the currency of each row's net worth
+const CURRENCY_HEADERS = ['currency', 'currency code', 'ccy', 'net worth currency'];
+const METADATA_FIELDS = 'spreadsheetId,properties.title,sheets.properties(sheetId,title,index,hidden,gridProperties(rowCount,columnCount))';
 
 /**
  * Fetch people data from Google Sheets
  * @param {string} accessToken - OAuth access token
+ * @param {Object} selection - { spreadsheetId, sheetTitle, headerRow } (see picker.js)
+ * @param {Object} [schema] - Column mapping (see mapping.js); detected from headers if omitted
  * @returns {Promise<Array>} Array of person objects
  */
-export async function fetchPeopleData(accessToken) {
+export async function fetchPeopleData(accessToken, selection, schema) {
+  const rows = await fetchSheetRows(accessToken, selection);
+
+  if (rows.length === 0) {
+    console.warn('No data found in spreadsheet');
+    return [];
+  }
+
+  if (rows.length === 1) {
+    console.warn('Only headers found, no data rows');
+    return [];
+  }
+
+  return parseSheetData(rows, schema);
+}
+
+/**
+ * Extract a spreadsheet ID from a pasted spreadsheet URL or a bare ID
+ * @param {string} input - e.g. https://docs.google.com/spreadsheets/d/<id>/edit#gid=0
+ * @returns {string} Spreadsheet ID, or '' if none was recognized
+ */
+export function parseSpreadsheetId(input) {
+  const text = String(input || '').trim();
+  const fromUrl = text.match(/\/spreadsheets\/d\/([a-zA-Z0-9_-]+)/);
+  if (fromUrl) return fromUrl[1];
+  return /^[a-zA-Z0-9_-]{20,}$/.test(text) ? text : '';
+}
+
+/**
+ * Fetch a spreadsheet's title and tabs
+ * @param {string} accessToken - OAuth access token
+ * @param {string} spreadsheetId - Spreadsheet ID
+ * @returns {Promise<Object>} { id, title, sheets: [{ id, title, index, hidden, rowCount, columnCount }] }
+ */
+export async function fetchSpreadsheetMetadata(accessToken, spreadsheetId) {
+  const data = await requestSheetsApi(accessToken, `${encodeURIComponent(spreadsheetId)}?fields=${encodeURIComponent(METADATA_FIELDS)}`);
+
+  return {
+    id: data.spreadsheetId,
+    title: data.properties?.title || 'Untitled spreadsheet',
+    sheets: (data.sheets || [])
+      .map(({ properties }) => ({
+        id: properties.sheetId,
+        title: properties.title,
+        index: properties.index,
+        hidden: Boolean(properties.hidden),
+        rowCount: properties.gridProperties?.rowCount || 0,
+        columnCount: properties.gridProperties?.columnCount || 0,
+      }))
+      .sort((a, b) => a.index - b.index),
+  };
+}
+
+/**
+ * Fetch the first rows of a tab (used to preview header rows in the picker)
+ * @param {string} accessToken - OAuth access token
+ * @param {string} spreadsheetId - Spreadsheet ID
+ * @param {string} sheetTitle - Tab title
+ * @param {number} count - Number of rows
+ * @returns {Promise<Array<Array>>} Rows (trailing empty rows omitted)
+ */
+export async function fetchSheetPreview(accessToken, spreadsheetId, sheetTitle, count) {
+  const range = `${quoteSheetTitle(sheetTitle)}!1:${count}`;
+  const data = await requestSheetsApi(accessToken, `${encodeURIComponent(spreadsheetId)}/values/${encodeURIComponent(range)}`);
+  return data.values || [];
+}
+
+/**
+ * Fetch raw rows (first row = headers) from a Google Sheets tab
+ * The whole tab is read, so there is no column limit; rows above the header row are dropped.
+ * A tab picked by ID is looked up by ID on every load, so renaming it doesn't break loading or live sync
+ * @param {string} accessToken - OAuth access token
+ * @param {Object} selection - { spreadsheetId, sheetId, sheetTitle, headerRow }; without an ID or title the first visible tab is read
+ * @returns {Promise<Array<Array>>} Raw sheet rows
+ */
+export async function fetchSheetRows(accessToken, selection) {
   if (!accessToken) {
     throw new Error('Access token is required');
   }
 
+  const { spreadsheetId, headerRow = 1 } = selection || {};
+  if (!spreadsheetId) {
+    throw new Error('No spreadsheet selected. Sign in again to choose one.');
+  }
+
   try {
-    // Try different range formats if the first one fails
-    const rangeOptions = [
-      SHEET_RANGE, // Try configured range first
-      "A:Z", // Simple range (first sheet)
-      "Sheet1!A:Z", // Common sheet name
-      "Sheet 1!A:Z", // With space
-    ];
-
-    let lastError = null;
-    
-    for (const range of rangeOptions) {
-      try {
-        // URL encode the range to handle special characters
-        const encodedRange = encodeURIComponent(range);
-        const url = `${SHEETS_API_BASE}/${SPREADSHEET_ID}/values/${encodedRange}`;
-        
-        console.log('Trying to fetch from URL:', url);
-        
-        const response = await fetch(url, {
-          headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json',
-          },
-        });
-
-        if (!response.ok) {
-          const errorData = await response.json().catch(() => ({}));
-          const errorMessage = errorData.error?.message || response.statusText;
-          
-          // If it's a range parsing error, try next option
-          if (response.status === 400 && errorMessage.includes('parse range')) {
-            console.warn(`Range "${range}" failed, trying next option...`);
-            lastError = new Error(`Range parsing error: ${errorMessage}`);
-            continue;
-          }
-          
-          if (response.status === 403) {
-            throw new Error('Access denied. Please ensure the spreadsheet is shared with your Google account.');
-          } else if (response.status === 404) {
-            throw new Error('Spreadsheet not found. Please check the spreadsheet ID.');
-          }
-          
-          throw new Error(`Sheets API error (${response.status}): ${errorMessage}`);
-        }
-
-        // Success! Parse the data
-        const data = await response.json();
-        const rows = data.values || [];
-
-        if (rows.length === 0) {
-          console.warn('No data found in spreadsheet');
-          return [];
-        }
-
-        if (rows.length === 1) {
-          console.warn('Only headers found, no data rows');
-          return [];
-        }
-
-        console.log(`Successfully fetched data using range: ${range}`);
-        return parseSheetData(rows);
-        
-      } catch (error) {
-        // If it's a range parsing error, continue to next option
-        if (error.message && error.message.includes('parse range')) {
-          lastError = error;
-          continue;
-        }
-        // Otherwise, throw immediately
-        throw error;
+    let sheetTitle = selection.sheetTitle;
+    if (selection.sheetId != null) {
+      const metadata = await fetchSpreadsheetMetadata(accessToken, spreadsheetId);
+      const sheet = metadata.sheets.find(candidate => candidate.id === selection.sheetId);
+      if (!sheet) {
+        throw new Error(`Tab "${sheetTitle}" no longer exists in the spreadsheet - sign in again to choose another tab.`);
       }
+      if (sheet.title !== sheetTitle) {
+        console.log(`Tab "${sheetTitle}" was renamed to "${sheet.title}"`);
+        sheetTitle = sheet.title;
+        selection.sheetTitle = sheet.title; // Later syncs and the source label use the new name
+      }
+    } else if (!sheetTitle) {
+      const metadata = await fetchSpreadsheetMetadata(accessToken, spreadsheetId);
+      const firstSheet = metadata.sheets.find(sheet => !sheet.hidden) || metadata.sheets[0];
+      if (!firstSheet) throw new Error('The spreadsheet has no tabs.');
+      sheetTitle = firstSheet.title;
     }
-    
-    // If all range options failed
-    throw lastError || new Error('Unable to parse any sheet range. Please check your sheet name in SHEET_RANGE constant.');
 
+    const range = quoteSheetTitle(sheetTitle);
+    const data = await requestSheetsApi(accessToken, `${encodeURIComponent(spreadsheetId)}/values/${encodeURIComponent(range)}`, {
+      400: `Tab "${sheetTitle}" was not found in the spreadsheet. It may have been renamed or deleted - sign in again to choose another tab.`,
+    });
+
+    console.log(`Fetched tab "${sheetTitle}" (header row ${headerRow})`);
+    return (data.values || []).slice(headerRow - 1);
   } catch (error) {
     console.error('Error fetching people data:', error);
     const userMessage = error.message || 'Failed to fetch data from Google Sheets. Please check your spreadsheet ID and permissions.';
@@ -111,113 +137,183 @@ export async function fetchPeopleData(accessToken) {
   }
 }
 
+/**
+ * Call the Sheets API and turn failures into messages that name the signed-in account
+ * @param {string} accessToken - OAuth access token
+ * @param {string} path - Path below /v4/spreadsheets/ (already encoded)
+ * @param {Object} [messages] - Messages for specific HTTP statuses (override the defaults)
+ * @returns {Promise<Object>} Response JSON
+ */
+async function requestSheetsApi(accessToken, path, messages = {}) {
+  const response = await fetch(`${SHEETS_API_BASE}/${path}`, {
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+    },
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const errorMessage = errorData.error?.message || response.statusText;
+
+    if (messages[response.status]) {
+      throw new Error(messages[response.status]);
+    }
+
+    // Name the account so people know whether to switch accounts or ask for access
+    const account = describeAccount();
+    if (response.status === 401) {
+      throw new Error(`The Google session for ${account} is no longer valid. Please sign in again.`);
+    } else if (response.status === 403) {
+      throw new Error(`Access denied for ${account}. Please ensure the spreadsheet is shared with this account, or switch to an account that has access.`);
+    } else if (response.status === 404) {
+      throw new Error(`Spreadsheet not found (signed in as ${account}). Please check the spreadsheet URL or ID.`);
+    }
+
+    throw new Error(`Sheets API error (${response.status}): ${errorMessage}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Quote a tab title for A1 notation ('My tab', with quotes inside doubled)
+ * @param {string} title - Tab title
+ * @returns {string} Quoted title
+ */
+function quoteSheetTitle(title) {
+  return `'${String(title).replace(/'/g, "''")}'`;
+}
+
 /**
  * Parse sheet rows into person objects
- * @param {Array<Array>} rows - Raw sheet data
+ * Shared by every data source (Sheets API, CSV/JSON files, static URLs)
+ * @param {Array<Array>} rows - Raw sheet data (first row = headers)
+ * Every cell that is dropped, defaulted or coerced (and every repeated name) is recorded in
+ * `issues` for the import report
+ * @param {Object} [schema] - Column mapping (see mapping.js); detected from headers if omitted
+ * @param {Array} [issues] - Receives { rowIndex, column, field, value, kind, message, person, duplicateOf? } entries
+ *   (row indices count data rows from 0; kind is 'dropped', 'defaulted', 'coerced' or 'duplicate')
  * @returns {Array} Array of person objects
  */
-function parseSheetData(rows) {
-  const headers = rows[0].map(h => String(h).toLowerCase().trim());
+export function parseSheetData(rows, schema = detectColumnMapping(rows[0]), issues = []) {
+  const headers = rows[0];
   const dataRows = rows.slice(1);
+  const columnIndices = resolveColumnIndices(schema, headers);
 
-  // Find column indices
-  const columnIndices = {
-    name: findColumnIndex(headers, COLUMN_MAPPINGS.name),
-    country: findColumnIndex(headers, COLUMN_MAPPINGS.country),
-    netWorth: findColumnIndex(headers, COLUMN_MAPPINGS.netWorth),
-    imageUrl: findColumnIndex(headers, COLUMN_MAPPINGS.imageUrl),
-    age: findColumnIndex(headers, COLUMN_MAPPINGS.age),
-    interest: findColumnIndex(headers, COLUMN_MAPPINGS.interest),
-  };
+  // Log mapped columns for debugging
+  console.log('Mapped columns:', Object.fromEntries(
+    Object.entries(columnIndices).map(([field, index]) => [field, index !== -1 ? headers[index] : 'NOT MAPPED'])
+  ));
 
-  // Log detected columns for debugging
-  console.log('Detected columns:', {
-    name: columnIndices.name !== -1 ? headers[columnIndices.name] : 'NOT FOUND',
-    photo: columnIndices.imageUrl !== -1 ? headers[columnIndices.imageUrl] : 'NOT FOUND',
-    age: columnIndices.age !== -1 ? headers[columnIndices.age] : 'NOT FOUND',
-    country: columnIndices.country !== -1 ? headers[columnIndices.country] : 'NOT FOUND',
-    interest: columnIndices.interest !== -1 ? headers[columnIndices.interest] : 'NOT FOUND',
-    netWorth: columnIndices.netWorth !== -1 ? headers[columnIndices.netWorth] : 'NOT FOUND',
-  });
-
-  // Validate required columns
   if (columnIndices.name === -1) {
-    console.warn('Name column not found. Using fallback naming.');
+    throw new Error('No column is mapped to Name. Please check the column mapping.');
   }
 
+  // Columns not mapped to a tile field are kept on person.fields, keyed by header
+  const mappedIndices = Object.values(columnIndices);
+  const extraColumns = headers
+    .map((header, index) => ({ header: String(header ?? '').trim() || `Column ${index + 1}`, index }))
+    .filter(({ index }) => !mappedIndices.includes(index));
+
+  // Unmapped fields stay empty - there is no positional fallback
+  const cell = (row, field) => {
+    const value = columnIndices[field] !== -1 ? row[columnIndices[field]] : null;
+    return value != null && String(value).trim() !== '' ? String(value).trim() : null;
+  };
+
+  // Per-row currency column (amounts that name their own currency win over it)
+  const currencyColumn = extraColumns.find(({ header }) => CURRENCY_HEADERS.includes(normalizeHeader(header)))?.index ?? -1;
+
+  const columnName = field => (columnIndices[field] !== -1 ? String(headers[columnIndices[field]] ?? '').trim() : field);
+  const firstRowByName = new Map();
+
   // Parse rows into objects
-  const people = dataRows
-    .map((row, index) => {
-      const name = columnIndices.name !== -1 ? row[columnIndices.name] : row[0] || `Person ${index + 1}`;
-      const photo = columnIndices.imageUrl !== -1 ? row[columnIndices.imageUrl] : row[1] || null;
-      const age = columnIndices.age !== -1 ? row[columnIndices.age] : row[2] || null;
-      const country = columnIndices.country !== -1 ? row[columnIndices.country] : row[3] || 'Unknown';
-      const interest = columnIndices.interest !== -1 ? row[columnIndices.interest] : row[4] || null;
-      const netWorthRaw = columnIndices.netWorth !== -1 ? row[columnIndices.netWorth] : row[5] || '0';
-
-      return {
-        id: index,
-        name: String(name).trim(),
-        country: String(country).trim(),
-        netWorth: parseNetWorth(netWorthRaw),
-        imageUrl: photo ? String(photo).trim() : null,
-        age: age ? String(age).trim() : null,
-        interest: interest ? String(interest).trim() : null,
-      };
-    })
-    .filter(person => {
-      // Filter out completely empty rows
-      return person.name && person.name !== 'Person 0' && person.name.length > 0;
-    });
+  const people = [];
+  dataRows.forEach((row, index) => {
+    const report = (field, kind, message, details = {}) => {
+      issues.push({
+        rowIndex: index, column: columnName(field), field, value: cell(row, field), kind, message,
+        person: kind === 'dropped' ? null : person, // Dropped rows have no tile
+        ...details,
+      });
+    };
 
-  console.log(`Fetched ${people.length} people from Google Sheets`);
+    const rowCurrency = currencyColumn !== -1 ? resolveCurrencyCode(row[currencyColumn]) : null;
+    const netWorth = readNetWorth(cell(row, 'netWorth'), rowCurrency);
+
+    const person = {
+      id: index,
+      name: cell(row, 'name') || '',
+      country: cell(row, 'country') || 'Unknown',
+      netWorth: netWorth.value,
+      netWorthOriginal: netWorth.original,
+      imageUrl: cell(row, 'imageUrl'),
+      age: cell(row, 'age'),
+      interest: cell(row, 'interest'),
+      fields: Object.fromEntries(
+        extraColumns.map(({ header, index }) => [header, row[index] != null ? String(row[index]).trim() : ''])
+      ),
+    };
+
+    // Rows without a name are dropped (blank rows silently, anything else is reported)
+    if (!person.name) {
+      if (row.some(value => value != null && String(value).trim() !== '')) {
+        report('name', 'dropped', 'No name - the row was skipped');
+      }
+      return;
+    }
+
+    if (!cell(row, 'country')) {
+      report('country', 'defaulted', 'Empty - shown as "Unknown"');
+    }
+
+    if (columnIndices.netWorth !== -1 && netWorth.issue) {
+      report('netWorth', netWorth.issue.kind, netWorth.issue.message);
+    }
+
+    // Names are matched case- and space-insensitively
+    const nameKey = person.name.toLowerCase().replace(/\s+/g, ' ');
+    if (firstRowByName.has(nameKey)) {
+      report('name', 'duplicate', 'Duplicate name', { duplicateOf: firstRowByName.get(nameKey) });
+    } else {
+      firstRowByName.set(nameKey, index);
+    }
+
+    people.push(person);
+  });
+
+  console.log(`Parsed ${people.length} people (${issues.length} import warnings)`);
   return people;
 }
 
 /**
- * Find column index by matching header names
- * @param {Array<string>} headers - Header row
- * @param {Array<string>} possibleNames - Possible column name variations
- * @returns {number} Column index or -1 if not found
+ * Parse a net worth cell and convert it to the display currency
+ * Handles symbols and codes, K/M/B suffixes and either decimal separator (see currency.js)
+ * @param {string|number|null} value - Net worth value
+ * @param {string|null} rowCurrency - Currency from the row's currency column, if any
+ * @returns {Object} { value, original, issue } - value is non-negative (0 when unusable);
+ *   original is { amount, currency } when converted; issue is { kind, message } or null
  */
-function findColumnIndex(headers, possibleNames) {
-  // Try exact match first
-  for (const name of possibleNames) {
-    const exactIndex = headers.indexOf(name);
-    if (exactIndex !== -1) return exactIndex;
+function readNetWorth(value, rowCurrency) {
+  if (value == null) {
+    return { value: 0, original: null, issue: { kind: 'defaulted', message: 'Empty - counted as 0' } };
   }
 
-  // Try partial match
-  for (const name of possibleNames) {
-    const index = headers.findIndex(h => 
-      h.includes(name) || name.includes(h) || h === name
-    );
-    if (index !== -1) return index;
+  const parsed = parseAmount(value, rowCurrency || undefined);
+  if (!parsed) {
+    return { value: 0, original: null, issue: { kind: 'coerced', message: 'Not a number - counted as 0' } };
   }
 
-  return -1;
-}
-
-/**
- * Parse net worth string to number
- * Handles currency symbols, commas, and various formats
- * @param {string|number} value - Net worth value
- * @returns {number} Parsed number
- */
-function parseNetWorth(value) {
-  if (typeof value === 'number') {
-    return isNaN(value) ? 0 : value;
+  const converted = convertAmount(parsed.amount, parsed.currency);
+  if (isNaN(converted)) {
+    return { value: 0, original: null, issue: { kind: 'coerced', message: `No exchange rate for ${parsed.currency} - counted as 0` } };
   }
-  
-  if (!value) return 0;
-  
-  const str = String(value).trim();
-  if (!str) return 0;
-
-  // Remove currency symbols, commas, spaces, and other non-numeric characters except decimal point
-  const cleaned = str.replace(/[$€£¥₹,\s]/g, '').replace(/[^\d.-]/g, '');
-  const parsed = parseFloat(cleaned);
-  
-  return isNaN(parsed) ? 0 : Math.max(0, parsed); // Ensure non-negative
+  if (converted < 0) {
+    return { value: 0, original: null, issue: { kind: 'coerced', message: 'Negative - counted as 0' } };
+  }
+
+  const original = parsed.currency !== getDisplayCurrency() ? { amount: parsed.amount, currency: parsed.currency } : null;
+  return { value: converted, original, issue: null };
 }
 
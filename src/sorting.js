@@ -0,0 +1,33 @@
+// Sorting helpers shared by layouts and panels
+import { getFieldValue } from './fields.js';
+import { toNumber } from './formats.js';
+
+/**
+ * Build a comparator for items by field
+ * Numbers compare numerically, text compares naturally; empty values always sort last
+ * @param {string} field - Field key (see fields.js)
+ * @param {string} direction - 'asc' or 'desc'
+ * @returns {Function} Comparator (a, b) => number
+ */
+export function compareByField(field, direction = 'asc') {
+  const sign = direction === 'desc' ? -1 : 1;
+
+  return (a, b) => {
+    const valueA = getFieldValue(a, field);
+    const valueB = getFieldValue(b, field);
+    const emptyA = valueA == null || valueA === '';
+    const emptyB = valueB == null || valueB === '';
+
+    if (emptyA || emptyB) {
+      return emptyA === emptyB ? 0 : emptyA ? 1 : -1;
+    }
+
+    const numberA = toNumber(valueA);
+    const numberB = toNumber(valueB);
+    if (!isNaN(numberA) && !isNaN(numberB)) {
+      return (numberA - numberB) * sign;
+    }
+
+    return String(valueA).localeCompare(String(valueB), undefined, { numeric: true, sensitivity: 'base' }) * sign;
+  };
+}
@@ -0,0 +1,296 @@
+// Data sources - every source resolves to sheet-style rows (first row = headers)
+// that parseSheetData turns into the same person objects
+import { fetchSheetRows } from './sheets.js';
+import { describeSheetSelection } from './picker.js';
+
+// Optional default for the static URL loader (e.g. a CSV placed in /public)
+export const DEFAULT_DATA_URL = import.meta.env.VITE_DATA_URL || '/sample-people.csv';
+
+const SUPPORTED_FORMATS = {
+  csv: ['.csv', '.tsv', '.txt'],
+  json: ['.json'],
+};
+
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Create a data source backed by the Google Sheets API
+ * @param {Function} getAccessToken - Returns the current OAuth access token (refreshed tokens are picked up)
+ * @param {Object} selection - Spreadsheet, tab and header row (see picker.js)
+ * @returns {Object} Data source { type, key, label, live, loadRows, selection }
+ */
+export function createSheetsSource(getAccessToken, selection) {
+  return {
+    type: 'sheets',
+    // Each tab has its own columns, so mappings and templates are saved per tab (tab IDs survive renames)
+    key: `sheets:${selection.spreadsheetId}:${selection.sheetId ?? selection.sheetTitle}`,
+    get label() {
+      return describeSheetSelection(selection); // Follows tab renames picked up while loading
+    },
+    live: true,
+    selection,
+    loadRows: async () => {
+      const accessToken = getAccessToken();
+      if (!accessToken) {
+        throw new Error('Your Google session has expired. Reconnect to load the latest data.');
+      }
+      return fetchSheetRows(accessToken, selection);
+    },
+  };
+}
+
+/**
+ * Create a data source from a local CSV/JSON file
+ * @param {File} file - File chosen via file picker or drag-and-drop
+ * @returns {Object} Data source { type, key, label, live, loadRows }
+ */
+export function createFileSource(file) {
+  return {
+    type: 'file',
+    key: `file:${file.name}`,
+    label: file.name,
+    live: false, // A local file snapshot never changes
+    loadRows: async () => {
+      const text = await file.text();
+      const format = detectFormat(file.name, file.type, text);
+      return rowsFromText(text, format);
+    },
+  };
+}
+
+/**
+ * Create a data source from a static CSV/JSON URL
+ * @param {string} url - Absolute or relative URL
+ * @returns {Object} Data source { type, key, label, live, loadRows }
+ */
+export function createUrlSource(url) {
+  return {
+    type: 'url',
+    key: `url:${url}`,
+    label: url,
+    live: true,
+    loadRows: async () => {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Unable to load ${url} (${response.status} ${response.statusText})`);
+      }
+
+      const text = await response.text();
+      const format = detectFormat(url, response.headers.get('Content-Type'), text);
+      return rowsFromText(text, format);
+    },
+  };
+}
+
+/**
+ * Convert raw file text into sheet-style rows (first row = headers)
+ * @param {string} text - File contents
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Array<Array>} Rows
+ */
+function rowsFromText(text, format) {
+  const rows = format === 'json' ? rowsFromJson(JSON.parse(text)) : parseCsv(text);
+
+  if (rows.length < 2) {
+    throw new Error('No data rows found. The first row must contain headers.');
+  }
+
+  return rows;
+}
+
+/**
+ * Convert parsed JSON into sheet-style rows
+ * Accepts an array of objects, an array of arrays, or a Sheets API style { values: [...] }
+ * @param {*} data - Parsed JSON
+ * @returns {Array<Array>} Rows
+ */
+function rowsFromJson(data) {
+  const records = Array.isArray(data) ? data : data?.values || data?.people || data?.data;
+
+  if (!Array.isArray(records)) {
+    throw new Error('Unsupported JSON structure. Expected an array of records.');
+  }
+
+  if (records.length === 0 || Array.isArray(records[0])) {
+    return records;
+  }
+
+  // Array of objects - union of keys becomes the header row
+  const headers = [];
+  records.forEach(record => {
+    Object.keys(record || {}).forEach(key => {
+      if (!headers.includes(key)) headers.push(key);
+    });
+  });
+
+  return [
+    headers,
+    ...records.map(record => headers.map(key => record?.[key] ?? '')),
+  ];
+}
+
+/**
+ * Parse CSV text into rows (RFC 4180 quoting, auto-detected delimiter)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows
+ */
+export function parseCsv(text) {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Pick the delimiter that appears most often in the header line
+ * @param {string} text - CSV text
+ * @returns {string} Delimiter character
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  let best = CSV_DELIMITERS[0];
+  let bestCount = 0;
+
+  CSV_DELIMITERS.forEach(delimiter => {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Detect file format from name, MIME type, or content
+ * @param {string} name - File name or URL
+ * @param {string|null} contentType - MIME type if known
+ * @param {string} text - File contents
+ * @returns {string} 'csv' or 'json'
+ */
+function detectFormat(name, contentType, text) {
+  const path = String(name || '').toLowerCase().split(/[?#]/)[0];
+
+  if (SUPPORTED_FORMATS.json.some(ext => path.endsWith(ext))) return 'json';
+  if (SUPPORTED_FORMATS.csv.some(ext => path.endsWith(ext))) return 'csv';
+  if (contentType && contentType.includes('json')) return 'json';
+
+  const trimmed = String(text).trimStart();
+  return trimmed.startsWith('[') || trimmed.startsWith('{') ? 'json' : 'csv';
+}
+
+/**
+ * Create the offline loaders (file picker, drag-and-drop, static URL) on the login card
+ * Dispatches a 'dataSourceSelected' event with the chosen source
+ */
+export function initOfflineSources() {
+  const container = document.getElementById('offline-sources');
+  if (!container) {
+    console.warn('Offline sources container not found');
+    return;
+  }
+
+  container.innerHTML = `
+    <div class="source-divider"><span>or load data offline</span></div>
+    <label class="source-dropzone" id="source-dropzone">
+      <input type="file" id="source-file-input" accept=".csv,.tsv,.txt,.json,text/csv,application/json" hidden>
+      <span>Drop a CSV/JSON file here or <u>browse</u></span>
+    </label>
+    <form class="source-url-form" id="source-url-form">
+      <input type="text" id="source-url-input" placeholder="https://example.com/people.csv" aria-label="Data URL">
+      <button type="submit" class="source-url-btn">Load URL</button>
+    </form>
+  `;
+
+  const dropzone = container.querySelector('#source-dropzone');
+  const fileInput = container.querySelector('#source-file-input');
+  const urlForm = container.querySelector('#source-url-form');
+  const urlInput = container.querySelector('#source-url-input');
+
+  urlInput.value = DEFAULT_DATA_URL;
+
+  fileInput.addEventListener('change', () => {
+    const file = fileInput.files && fileInput.files[0];
+    if (file) selectSource(createFileSource(file));
+    fileInput.value = '';
+  });
+
+  dropzone.addEventListener('dragover', event => {
+    event.preventDefault();
+    dropzone.classList.add('dragging');
+  });
+
+  dropzone.addEventListener('dragleave', () => {
+    dropzone.classList.remove('dragging');
+  });
+
+  dropzone.addEventListener('drop', event => {
+    event.preventDefault();
+    dropzone.classList.remove('dragging');
+    const file = event.dataTransfer?.files?.[0];
+    if (file) selectSource(createFileSource(file));
+  });
+
+  urlForm.addEventListener('submit', event => {
+    event.preventDefault();
+    const url = urlInput.value.trim();
+    if (!url) {
+      alert('Please enter a CSV or JSON URL.');
+      return;
+    }
+    selectSource(createUrlSource(url));
+  });
+}
+
+/**
+ * Notify the app that a data source was chosen
+ * @param {Object} source - Data source
+ */
+function selectSource(source) {
+  const event = new CustomEvent('dataSourceSelected', {
+    detail: { source },
+  });
+  window.dispatchEvent(event);
+}
@@ -0,0 +1,133 @@
+// Live sync - poll a data source and diff people lists by a stable key
+
+const SYNC_INTERVAL = Number(import.meta.env.VITE_SYNC_INTERVAL) || 30000; // milliseconds
+
+// Fields compared to decide whether a tile needs re-rendering
+const COMPARED_FIELDS = ['name', 'country', 'netWorth', 'imageUrl', 'age', 'interest'];
+
+let syncTimer = null;
+let syncInFlight = false;
+
+/**
+ * Build a stable key for a person (row order is not stable between fetches)
+ * @param {Object} person - Person object
+ * @returns {string} Key
+ */
+export function getPersonKey(person) {
+  const name = String(person?.name || '').trim().toLowerCase();
+  const country = String(person?.country || '').trim().toLowerCase();
+  return `${name}|${country}`;
+}
+
+/**
+ * Key every person, disambiguating duplicates by occurrence (e.g. "ann|uk#2")
+ * @param {Array} people - Array of person objects
+ * @returns {Map<string, Object>} Key -> person, in input order
+ */
+export function keyPeople(people) {
+  const keyed = new Map();
+  const occurrences = {};
+
+  people.forEach(person => {
+    const baseKey = getPersonKey(person);
+    occurrences[baseKey] = (occurrences[baseKey] || 0) + 1;
+    const key = occurrences[baseKey] === 1 ? baseKey : `${baseKey}#${occurrences[baseKey]}`;
+    keyed.set(key, person);
+  });
+
+  return keyed;
+}
+
+/**
+ * Diff two people lists by stable key
+ * @param {Array} previousPeople - People currently displayed
+ * @param {Array} nextPeople - Freshly fetched people
+ * @returns {Object} { added, removed, changed, order, hasChanges }
+ */
+export function diffPeople(previousPeople, nextPeople) {
+  const previous = keyPeople(previousPeople);
+  const next = keyPeople(nextPeople);
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  next.forEach((person, key) => {
+    if (!previous.has(key)) {
+      added.push({ key, person });
+    } else if (hasPersonChanged(previous.get(key), person)) {
+      changed.push({ key, person, previous: previous.get(key) });
+    }
+  });
+
+  previous.forEach((person, key) => {
+    if (!next.has(key)) {
+      removed.push({ key, person });
+    }
+  });
+
+  const order = Array.from(next.keys());
+  const previousOrder = Array.from(previous.keys());
+  const reordered = !added.length && !removed.length &&
+    order.some((key, index) => previousOrder[index] !== key);
+
+  return {
+    added,
+    removed,
+    changed,
+    order,
+    hasChanges: added.length > 0 || removed.length > 0 || changed.length > 0 || reordered,
+  };
+}
+
+/**
+ * Compare the displayed fields of two people
+ * @param {Object} a - Previous person
+ * @param {Object} b - Next person
+ * @returns {boolean} True if any tile field or extra column differs
+ */
+function hasPersonChanged(a, b) {
+  return COMPARED_FIELDS.some(field => a[field] !== b[field]) ||
+    JSON.stringify(a.fields || {}) !== JSON.stringify(b.fields || {});
+}
+
+/**
+ * Start polling a data source in the background
+ * @param {Object} source - Data source (see sources.js); only sources with live: true are polled
+ * @param {Function} onData - Called with the freshly loaded sheet rows
+ * @param {number} interval - Poll interval in milliseconds
+ */
+export function startLiveSync(source, onData, interval = SYNC_INTERVAL) {
+  stopLiveSync();
+
+  if (!source || !source.live) {
+    return;
+  }
+
+  syncTimer = setInterval(async () => {
+    // Skip this tick if the previous fetch is still running or the tab is hidden
+    if (syncInFlight || document.hidden) return;
+
+    syncInFlight = true;
+    try {
+      const rows = await source.loadRows();
+      onData(rows);
+    } catch (error) {
+      console.warn(`Live sync failed for ${source.label}:`, error.message || error);
+    } finally {
+      syncInFlight = false;
+    }
+  }, interval);
+
+  console.log(`Live sync started (${source.label}, every ${interval / 1000}s)`);
+}
+
+/**
+ * Stop background polling
+ */
+export function stopLiveSync() {
+  if (syncTimer) {
+    clearInterval(syncTimer);
+    syncTimer = null;
+  }
+}
@@ -0,0 +1,187 @@
+// Tile template - declares which field (and format) fills each tile slot
+import { FORMATS, formatValue } from './formats.js';
+import { getFieldValue } from './fields.js';
+
+const STORAGE_PREFIX = 'kasatria.tileTemplate.';
+
+// Slots rendered by createTile
+export const TEMPLATE_SLOTS = [
+  { key: 'symbol', label: 'Symbol' },
+  { key: 'number', label: 'Number' },
+  { key: 'title', label: 'Title' },
+  { key: 'subtitle', label: 'Subtitle' },
+  { key: 'image', label: 'Image' },
+];
+
+// A slot's field may be a list: the first non-empty value wins
+export const DEFAULT_TEMPLATE = {
+  symbol: { field: 'name', format: 'initials' },
+  number: { field: 'netWorth', format: 'compact' },
+  title: { field: 'name', format: 'text' },
+  subtitle: { field: ['interest', 'country'], format: 'text', fallback: 'N/A' },
+  image: { field: 'imageUrl', format: 'text' },
+};
+
+let activeTemplate = DEFAULT_TEMPLATE;
+
+/**
+ * Get the template used when rendering tiles
+ * @returns {Object} Active template
+ */
+export function getTileTemplate() {
+  return activeTemplate;
+}
+
+/**
+ * Set the template used when rendering tiles
+ * Missing slots fall back to the default template
+ * @param {Object} template - Template object
+ */
+export function setTileTemplate(template) {
+  activeTemplate = { ...DEFAULT_TEMPLATE, ...(template || {}) };
+}
+
+/**
+ * Resolve a slot to display text for a person
+ * @param {Object} person - Person object
+ * @param {string} slotKey - Key of TEMPLATE_SLOTS
+ * @param {Object} template - Template (defaults to the active one)
+ * @returns {string} Formatted value ('' if the slot is empty)
+ */
+export function resolveSlot(person, slotKey, template = activeTemplate) {
+  const slot = template[slotKey];
+  if (!slot || !slot.field) return '';
+
+  const keys = Array.isArray(slot.field) ? slot.field : [slot.field];
+  const value = keys
+    .map(key => getFieldValue(person, key))
+    .find(candidate => candidate != null && candidate !== '');
+
+  return formatValue(value, slot.format) || slot.fallback || '';
+}
+
+/**
+ * Load a saved template for a source
+ * @param {string} sourceKey - Stable source identifier
+ * @returns {Object|null} Saved template or null
+ */
+export function loadTileTemplate(sourceKey) {
+  try {
+    const saved = localStorage.getItem(STORAGE_PREFIX + sourceKey);
+    return saved ? JSON.parse(saved) : null;
+  } catch (error) {
+    console.warn('Unable to read saved tile template:', error);
+    return null;
+  }
+}
+
+/**
+ * Persist a template for a source
+ * @param {string} sourceKey - Stable source identifier
+ * @param {Object} template - Template object
+ */
+export function saveTileTemplate(sourceKey, template) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + sourceKey, JSON.stringify(template));
+  } catch (error) {
+    console.warn('Unable to save tile template:', error);
+  }
+}
+
+/**
+ * Show the tile template dialog
+ * @param {Array<Object>} fields - Available fields (see listFields)
+ * @param {Object} template - Template to pre-select
+ * @returns {Promise<Object|null>} Confirmed template, or null if cancelled
+ */
+export function showTemplateDialog(fields, template) {
+  return new Promise(resolve => {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = `
+      <div class="modal-card template-dialog" role="dialog" aria-modal="true" aria-labelledby="template-title">
+        <h2 id="template-title">Tile template</h2>
+        <p class="modal-subtitle">Choose which field and format fills each part of a tile.</p>
+        <div class="mapping-table-wrapper">
+          <table class="mapping-table">
+            <thead><tr><th>Slot</th><th>Field</th><th>Format</th></tr></thead>
+            <tbody></tbody>
+          </table>
+        </div>
+        <div class="modal-actions">
+          <button type="button" class="modal-btn" data-action="reset">Reset</button>
+          <button type="button" class="modal-btn" data-action="cancel">Cancel</button>
+          <button type="button" class="modal-btn primary" data-action="apply">Apply</button>
+        </div>
+      </div>
+    `;
+
+    const tbody = overlay.querySelector('tbody');
+    const controls = {};
+
+    TEMPLATE_SLOTS.forEach(slot => {
+      const tr = document.createElement('tr');
+
+      const labelCell = document.createElement('td');
+      labelCell.className = 'mapping-header';
+      labelCell.textContent = slot.label;
+
+      const fieldSelect = document.createElement('select');
+      fieldSelect.setAttribute('aria-label', `${slot.label} field`);
+      fieldSelect.add(new Option('None', ''));
+      fields.forEach(field => fieldSelect.add(new Option(field.label, field.key)));
+
+      const formatSelect = document.createElement('select');
+      formatSelect.setAttribute('aria-label', `${slot.label} format`);
+      Object.entries(FORMATS).forEach(([key, format]) => formatSelect.add(new Option(format.label, key)));
+      formatSelect.disabled = slot.key === 'image';
+
+      const fieldCell = document.createElement('td');
+      fieldCell.appendChild(fieldSelect);
+      const formatCell = document.createElement('td');
+      formatCell.appendChild(formatSelect);
+
+      tr.append(labelCell, fieldCell, formatCell);
+      tbody.appendChild(tr);
+      controls[slot.key] = { fieldSelect, formatSelect };
+    });
+
+    function fill(source) {
+      TEMPLATE_SLOTS.forEach(slot => {
+        const current = source[slot.key] || {};
+        const field = Array.isArray(current.field) ? current.field[0] : current.field;
+        controls[slot.key].fieldSelect.value = field || '';
+        controls[slot.key].formatSelect.value = current.format || 'text';
+      });
+    }
+
+    function readTemplate() {
+      const result = {};
+      TEMPLATE_SLOTS.forEach(slot => {
+        const { fieldSelect, formatSelect } = controls[slot.key];
+        const previous = template[slot.key] || {};
+        const previousField = Array.isArray(previous.field) ? previous.field[0] : previous.field;
+
+        // Keep a multi-field fallback chain if the user left its first field untouched
+        result[slot.key] = {
+          field: fieldSelect.value && fieldSelect.value === previousField ? previous.field : fieldSelect.value || null,
+          format: formatSelect.value,
+          fallback: fieldSelect.value === previousField ? previous.fallback : undefined,
+        };
+      });
+      return result;
+    }
+
+    function close(result) {
+      overlay.remove();
+      resolve(result);
+    }
+
+    overlay.querySelector('[data-action="reset"]').addEventListener('click', () => fill(DEFAULT_TEMPLATE));
+    overlay.querySelector('[data-action="cancel"]').addEventListener('click', () => close(null));
+    overlay.querySelector('[data-action="apply"]').addEventListener('click', () => close(readTemplate()));
+
+    fill(template);
+    document.body.appendChild(overlay);
+  });
+}
@@ -1,20 +1,9 @@
 import * as THREE from 'three';
 import { CSS3DObject } from 'three/examples/jsm/renderers/CSS3DRenderer.js';
-
-// Net worth thresholds
-const NET_WORTH_THRESHOLDS = {
-  LOW: 100000,
-  HIGH: 200000,
-};
-
-// Background colors (neon style)
-const COLORS = {
-  RED: '#ff2d55',     // < $100K neon red/pink
-  ORANGE: '#ff9f0a',  // >= $100K & < $200K neon orange
-  GREEN: '#32ff7e',   // >= $200K neon green
-};
-
-const PLACEHOLDER_IMAGE = '/placeholder.svg';
+import { resolveSlot, getTileTemplate } from './template.js';
+import { escapeHtml, formatCurrency } from './formats.js';
+import { getTileColor } from './colors.js';
+import { normalizeImageUrl, getAvatarSrc, queueAvatar, keepAvatarFallback } from './avatars.js';
 
 /**
  * Create CSS3D tiles from data array
@@ -58,97 +47,105 @@ function createTile(person, index) {
   // Create DOM element for tile
   const div = document.createElement('div');
   div.className = 'tile';
-  
-  // Determine background color based on net worth (periodic table style)
-  const bgColor = getNetWorthColor(person.netWorth || 0);
-  const initials = getInitials(person.name);
-  const meta = person.interest || person.country || 'N/A';
-  const imageUrl = person.imageUrl || PLACEHOLDER_IMAGE;
-  
-  // Build tile HTML (periodic-table-like: colored background, symbol, name, meta)
-  div.innerHTML = `
-    <div class="tile-content periodic-style" style="background-color: ${bgColor}; box-shadow: 0 0 12px ${bgColor}80;">
-      <div class="tile-top">
-        <div class="tile-symbol">${escapeHtml(initials)}</div>
-        <div class="tile-number">${formatCompact(person.netWorth || 0)}</div>
-      </div>
-      <div class="tile-avatar">
-        <img src="${escapeHtml(imageUrl)}" alt="${escapeHtml(person.name)}" onerror="this.src='${PLACEHOLDER_IMAGE}'">
-      </div>
-      <div class="tile-bottom">
-        <div class="tile-name">${escapeHtml(person.name)}</div>
-        <div class="tile-interest">${escapeHtml(meta)}</div>
-      </div>
-    </div>
-  `;
+  div.setAttribute('role', 'button');
+  div.tabIndex = -1; // Reached with the arrow-key tile cursor, not Tab
 
   // Create CSS3D object
   const cssObject = new CSS3DObject(div);
   cssObject.userData = { ...person, index }; // Store person data for reference
+  renderTileContent(cssObject, person);
   return cssObject;
 }
 
 /**
- * Get background color based on net worth (periodic table style)
- * @param {number} netWorth - Net worth value
- * @returns {string} Color hex code
+ * Re-render an existing tile with updated person data (used by live sync)
+ * @param {THREE.CSS3DObject} cssObject - Tile created by createTilesFromData
+ * @param {Object} person - Updated person data
+ * @param {number} index - Index in the array
  */
-function getNetWorthColor(netWorth) {
-  if (netWorth >= NET_WORTH_THRESHOLDS.HIGH) {
-    return COLORS.GREEN;     // >= $200K - Green
-  } else if (netWorth >= NET_WORTH_THRESHOLDS.LOW) {
-    return COLORS.ORANGE;    // >= $100K & < $200K - Orange
+export function updateTile(cssObject, person, index) {
+  if (!cssObject || !person) return;
+
+  const previousNetWorth = cssObject.userData.netWorth;
+  const previousColor = getTileColor(cssObject.userData);
+  renderTileContent(cssObject, person);
+  cssObject.userData = { ...person, index };
+
+  // Flash the tile so value changes are noticeable
+  if (previousColor !== getTileColor(person) || previousNetWorth !== person.netWorth) {
+    const content = cssObject.element.querySelector('.tile-content');
+    if (content) content.classList.add('tile-updated');
   }
-  return COLORS.RED;         // < $100K - Red
 }
 
 /**
- * Get initials from a name (up to 2 characters)
- * @param {string} name - Full name
- * @returns {string} Initials
+ * Re-render every tile with the active tile template and color scale
+ * @param {Array} objects - Array of CSS3D objects
  */
-function getInitials(name) {
-  if (!name) return '';
-  const parts = name.trim().split(/\s+/);
-  if (parts.length === 1) {
-    return parts[0].slice(0, 2).toUpperCase();
-  }
-  return (parts[0][0] + parts[1][0]).toUpperCase();
+export function refreshTiles(objects) {
+  objects.forEach(object => renderTileContent(object, object.userData));
 }
 
 /**
- * Escape HTML to prevent XSS
- * @param {string} text - Text to escape
- * @returns {string} Escaped HTML
+ * Render tile markup into a tile element using the active tile template
+ * The avatar starts as the generated one (or the cached photo) and the photo is queued to load lazily
+ * @param {THREE.CSS3DObject} cssObject - Tile
+ * @param {Object} person - Person data object
  */
-function escapeHtml(text) {
-  if (text == null) return '';
-  const div = document.createElement('div');
-  div.textContent = String(text);
-  return div.innerHTML;
-}
+function renderTileContent(cssObject, person) {
+  const div = cssObject.element;
+  // Background color comes from the active color scale (periodic table style)
+  const bgColor = getTileColor(person);
+  const symbol = resolveSlot(person, 'symbol');
+  const number = resolveSlot(person, 'number');
+  const title = resolveSlot(person, 'title');
+  const subtitle = resolveSlot(person, 'subtitle');
+  const imageUrl = normalizeImageUrl(resolveSlot(person, 'image'));
+  const avatarSrc = getAvatarSrc(imageUrl, person.name);
+  const showImage = Boolean(getTileTemplate().image?.field);
+
+  div.setAttribute('aria-label', getTileLabel(person));
 
-/**
- * Format number with commas
- * @param {number} num - Number to format
- * @returns {string} Formatted number string
- */
-function formatNumber(num) {
-  const number = Number(num) || 0;
-  return number.toLocaleString('en-US', {
-    minimumFractionDigits: 0,
-    maximumFractionDigits: 0,
-  });
+  // Build tile HTML (periodic-table-like: colored background, symbol, name, meta)
+  div.innerHTML = `
+    <div class="tile-content periodic-style" style="background-color: ${bgColor}; box-shadow: 0 0 12px ${bgColor}80;">
+      <div class="tile-top">
+        <div class="tile-symbol">${escapeHtml(symbol)}</div>
+        <div class="tile-number">${escapeHtml(number)}</div>
+      </div>
+      ${showImage ? '<div class="tile-avatar"></div>' : ''}
+      <div class="tile-bottom">
+        <div class="tile-name">${escapeHtml(title)}</div>
+        <div class="tile-interest">${escapeHtml(subtitle)}</div>
+      </div>
+    </div>
+  `;
+
+  // The photo URL comes straight from the sheet, so it is set as a property rather than written into markup
+  const avatarContainer = div.querySelector('.tile-avatar');
+  if (avatarContainer) {
+    const avatar = document.createElement('img');
+    avatar.alt = '';
+    avatar.referrerPolicy = 'no-referrer';
+    avatar.src = avatarSrc;
+    if (imageUrl && avatarSrc !== imageUrl) avatar.dataset.avatarSrc = imageUrl;
+    keepAvatarFallback(avatar, person.name);
+    avatarContainer.appendChild(avatar);
+  }
+  queueAvatar(cssObject, showImage ? imageUrl : '');
 }
 
 /**
- * Format number into compact form (e.g., 123.4K, 1.2M)
+ * Accessible name for a tile, built from the person data rather than the template
+ * (e.g. "Jane Doe, Canada, age 34, net worth $120,000, interest Chess")
+ * @param {Object} person - Person data object
+ * @returns {string} Label
  */
-function formatCompact(num) {
-  const n = Number(num) || 0;
-  if (n >= 1_000_000_000) return `${(n / 1_000_000_000).toFixed(1)}B`;
-  if (n >= 1_000_000) return `${(n / 1_000_000).toFixed(1)}M`;
-  if (n >= 1_000) return `${(n / 1_000).toFixed(1)}K`;
-  return n.toString();
+export function getTileLabel(person) {
+  const parts = [person.name];
+  if (person.country) parts.push(person.country);
+  if (person.age != null && person.age !== '') parts.push(`age ${person.age}`);
+  if (Number.isFinite(person.netWorth)) parts.push(`net worth ${formatCurrency(person.netWorth)}`);
+  if (person.interest) parts.push(`interest ${person.interest}`);
+  return parts.join(', ');
 }
-
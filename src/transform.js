@@ -2,15 +2,40 @@ import * as TWEEN from '@tweenjs/tween.js';
 
 const DEFAULT_DURATION = 2000; // milliseconds
 
+// Easing presets for layout transitions
+export const EASINGS = {
+  cubic: { label: 'Cubic in/out', easing: TWEEN.Easing.Cubic.InOut },
+  quadratic: { label: 'Quadratic in/out', easing: TWEEN.Easing.Quadratic.InOut },
+  exponential: { label: 'Exponential in/out', easing: TWEEN.Easing.Exponential.InOut },
+  back: { label: 'Back (overshoot)', easing: TWEEN.Easing.Back.Out },
+  elastic: { label: 'Elastic', easing: TWEEN.Easing.Elastic.Out },
+  bounce: { label: 'Bounce', easing: TWEEN.Easing.Bounce.Out },
+  linear: { label: 'Linear', easing: TWEEN.Easing.Linear.None },
+};
+
+export const DEFAULT_EASING = 'cubic';
+
 let activeTweens = [];
+const activeFades = new WeakMap(); // element -> running fade tween
+const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+/**
+ * Whether the user asked the OS/browser for reduced motion (checked live, so a change applies immediately)
+ * @returns {boolean} True if animations should jump to their end state
+ */
+export function prefersReducedMotion() {
+  return Boolean(reducedMotionQuery && reducedMotionQuery.matches);
+}
 
 /**
  * Transform objects to target positions with smooth animation
+ * (instant when the user prefers reduced motion)
  * @param {Array} objects - Array of CSS3DObjects
  * @param {Array} targets - Array of Object3D with target positions/rotations
  * @param {number} duration - Animation duration in milliseconds
+ * @param {string} easing - Easing preset key (see EASINGS)
  */
-export function transform(objects, targets, duration = DEFAULT_DURATION) {
+export function transform(objects, targets, duration = DEFAULT_DURATION, easing = DEFAULT_EASING) {
   if (!Array.isArray(objects) || !Array.isArray(targets)) {
     console.error('Invalid parameters: objects and targets must be arrays');
     return;
@@ -29,6 +54,18 @@ export function transform(objects, targets, duration = DEFAULT_DURATION) {
   // Stop all active tweens
   stopAllTweens();
 
+  // Reduced motion: jump straight to the targets
+  if (prefersReducedMotion()) {
+    objects.forEach((object, index) => {
+      if (!object || !targets[index]) return;
+      object.position.copy(targets[index].position);
+      object.rotation.copy(targets[index].rotation);
+    });
+    return;
+  }
+
+  const easingFunction = (EASINGS[easing] || EASINGS[DEFAULT_EASING]).easing;
+
   // Create tweens for each object
   objects.forEach((object, index) => {
     if (!object || !targets[index]) {
@@ -37,7 +74,7 @@ export function transform(objects, targets, duration = DEFAULT_DURATION) {
     }
 
     const target = targets[index];
-    createTweensForObject(object, target, duration);
+    createTweensForObject(object, target, duration, easingFunction);
   });
 }
 
@@ -46,8 +83,9 @@ export function transform(objects, targets, duration = DEFAULT_DURATION) {
  * @param {THREE.CSS3DObject} object - Object to animate
  * @param {THREE.Object3D} target - Target position/rotation
  * @param {number} duration - Animation duration
+ * @param {Function} easing - TWEEN easing function
  */
-function createTweensForObject(object, target, duration) {
+function createTweensForObject(object, target, duration, easing) {
   // Create tween for position
   const positionTween = new TWEEN.Tween(object.position)
     .to(
@@ -58,7 +96,7 @@ function createTweensForObject(object, target, duration) {
       },
       duration
     )
-    .easing(TWEEN.Easing.Cubic.InOut)
+    .easing(easing)
     .onComplete(() => {
       // Remove from active tweens when complete
       const index = activeTweens.indexOf(positionTween);
@@ -76,7 +114,7 @@ function createTweensForObject(object, target, duration) {
       },
       duration
     )
-    .easing(TWEEN.Easing.Cubic.InOut)
+    .easing(easing)
     .onComplete(() => {
       // Remove from active tweens when complete
       const index = activeTweens.indexOf(rotationTween);
@@ -87,6 +125,47 @@ function createTweensForObject(object, target, duration) {
   activeTweens.push(positionTween, rotationTween);
 }
 
+/**
+ * Fade objects' DOM elements to a target opacity
+ * Fades are independent of layout tweens, so a layout change does not cancel them
+ * @param {Array} objects - Array of CSS3DObjects
+ * @param {number} opacity - Target opacity (0-1)
+ * @param {number} duration - Animation duration in milliseconds
+ * @param {Function} onComplete - Called once every fade has finished
+ */
+export function fade(objects, opacity, duration = DEFAULT_DURATION / 2, onComplete) {
+  if (prefersReducedMotion()) duration = 0;
+
+  let remaining = objects.length;
+  if (remaining === 0) {
+    if (onComplete) onComplete();
+    return;
+  }
+
+  objects.forEach(object => {
+    const element = object.element;
+    const state = { opacity: element.style.opacity === '' ? 1 : Number(element.style.opacity) };
+
+    // A newer fade on the same element replaces the running one
+    const running = activeFades.get(element);
+    if (running) running.stop();
+
+    const tween = new TWEEN.Tween(state)
+      .to({ opacity }, duration)
+      .easing(TWEEN.Easing.Quadratic.Out)
+      .onUpdate(() => {
+        element.style.opacity = String(state.opacity);
+      })
+      .onComplete(() => {
+        activeFades.delete(element);
+        remaining--;
+        if (remaining === 0 && onComplete) onComplete();
+      })
+      .start();
+    activeFades.set(element, tween);
+  });
+}
+
 /**
  * Stop all active tweens
  */
@@ -102,8 +181,9 @@ function stopAllTweens() {
 /**
  * Update all active tweens (call this in animation loop)
  * @param {number} time - Current time (optional, TWEEN will use performance.now() if not provided)
+ * @returns {boolean} True if any tween (layout, fade or camera) was running
  */
 export function update(time) {
-  TWEEN.update(time);
+  return TWEEN.update(time);
 }
 
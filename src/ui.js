@@ -1,71 +1,268 @@
-import { transform } from './transform.js';
+import { transform, fade } from './transform.js';
+import { computeLayoutTargets, getSortOrder, getLayoutBounds } from './layouts.js';
+import { getLayout, listLayouts } from './registry.js';
+import { frameBounds, requestRender } from './scene.js';
+import { clearFocus } from './focus.js';
+import { showLabels } from './labels.js';
+import { getGroupOptions } from './groups.js';
+import { SCALE_TYPES, getScaleTypesForField } from './colors.js';
+import { DEFAULT_FILTER, isFilterActive, matchesFilter, setFilterCount } from './filters.js';
+import { getLayoutParams, getTransitionSettings, renderSettingsPanel, setFieldOptions } from './settings.js';
 
-// Layout configuration
-const LAYOUTS = {
-  table: { id: 'table', buttonId: 'btn-table', default: true },
-  sphere: { id: 'sphere', buttonId: 'btn-sphere' },
-  helix: { id: 'helix', buttonId: 'btn-helix' },
-  grid: { id: 'grid', buttonId: 'btn-grid' },
-  tetra: { id: 'tetra', buttonId: 'btn-tetra' },
-};
+const FILTER_FADE_DURATION = 600; // milliseconds
+const SHORTCUT_LAYOUTS = 9; // Layouts reachable with the number keys 1-9
 
-const TRANSITION_DURATION = 2000; // milliseconds
-
-let currentLayout = 'table';
+let currentLayout = null;
 let objects = [];
-let layoutTargets = null;
-let buttons = {};
+let layoutObjects = []; // Objects placed by the layout (all, or only filter matches when collapsed)
+let layoutResults = new Map(); // Layout id -> { targets, labels }, computed on first use
+let framedLayoutKey = null; // Layout, count and grouping the camera was last framed for
+let activeFilter = DEFAULT_FILTER;
+let layoutOptions = { groupBy: '', sortBy: '', sortDirection: 'asc' };
+let buttonsContainer = null;
+let colorFields = [];
+let colorEncoding = null;
+let onColorChange = null;
 
 /**
  * Initialize UI controls
- * @param {Object} targets - Layout targets object
  * @param {Array} sceneObjects - Array of CSS3D objects
  */
-export function initUI(targets, sceneObjects) {
-  if (!targets || !sceneObjects) {
+export function initUI(sceneObjects) {
+  if (!sceneObjects) {
     console.error('Invalid parameters for initUI');
     return;
   }
 
-  layoutTargets = targets;
   objects = sceneObjects;
+  layoutObjects = sceneObjects;
+  framedLayoutKey = null; // New scene (e.g. after signing in again): frame it
+  updateFilterState();
 
-  // Initialize all layout buttons
-  Object.values(LAYOUTS).forEach(layout => {
-    const button = document.getElementById(layout.buttonId);
-    if (!button) {
-      console.warn(`Button not found: ${layout.buttonId}`);
-      return;
-    }
-    
-    buttons[layout.id] = button;
-    
-    // Set initial active state
-    if (layout.default) {
-      button.classList.add('active');
-      currentLayout = layout.id;
+  const layouts = listLayouts();
+  if (!currentLayout || !getLayout(currentLayout)) {
+    currentLayout = layouts.length > 0 ? layouts[0].id : null;
+  }
+
+  if (!buttonsContainer) {
+    buttonsContainer = document.getElementById('layout-buttons');
+    // Layouts registered later (e.g. by plugin modules) get a button too
+    window.addEventListener('layoutRegistered', () => {
+      invalidateTargets();
+      renderLayoutButtons();
+    });
+  }
+  renderLayoutButtons();
+  renderSettingsPanel(currentLayout);
+
+  invalidateTargets();
+}
+
+/**
+ * Replace the objects (e.g. after live sync), regenerate targets for the new count
+ * and re-apply the current layout
+ * @param {Array} sceneObjects - Array of CSS3D objects
+ */
+export function updateLayoutData(sceneObjects) {
+  if (!sceneObjects) {
+    console.error('Invalid parameters for updateLayoutData');
+    return;
+  }
+
+  objects = sceneObjects;
+  updateFilterState();
+  invalidateTargets();
+  applyLayout();
+}
+
+/**
+ * Apply a search/filter state: dim (or hide, when collapsed) non-matching tiles
+ * and re-run the layout if the set of placed tiles changed
+ * @param {Object} filter - Filter state (see filters.js)
+ */
+export function applyFilter(filter) {
+  activeFilter = filter;
+  if (updateFilterState()) {
+    invalidateTargets();
+    applyLayout();
+  }
+}
+
+/**
+ * Update tile highlight/dim classes and visibility for the active filter
+ * @returns {boolean} True if the objects placed by the layout changed
+ */
+function updateFilterState() {
+  const active = isFilterActive(activeFilter);
+  const highlight = active && activeFilter.query.trim() !== '';
+  const matched = objects.filter(object => !active || matchesFilter(object.userData, activeFilter));
+  const matchedSet = new Set(matched);
+
+  objects.forEach(object => {
+    const isMatch = matchedSet.has(object);
+    object.element.classList.toggle('tile-dimmed', active && !isMatch && !activeFilter.collapse);
+    object.element.classList.toggle('tile-match', highlight && isMatch);
+  });
+
+  const nextLayoutObjects = activeFilter.collapse ? matched : objects;
+  const nextSet = new Set(nextLayoutObjects);
+  const previousSet = new Set(layoutObjects);
+  const currentSet = new Set(objects);
+
+  // Tiles leaving the layout fade out and are hidden; returning tiles fade back in
+  const leaving = layoutObjects.filter(object => !nextSet.has(object) && currentSet.has(object));
+  const entering = nextLayoutObjects.filter(object => !object.visible || !previousSet.has(object));
+  fade(leaving, 0, FILTER_FADE_DURATION, () => {
+    const placed = new Set(layoutObjects);
+    leaving.forEach(object => {
+      if (!placed.has(object)) object.visible = false;
+    });
+  });
+  entering.forEach(object => {
+    object.visible = true;
+  });
+  fade(entering, 1, FILTER_FADE_DURATION);
+
+  const changed = nextLayoutObjects.length !== layoutObjects.length ||
+    nextLayoutObjects.some((object, index) => layoutObjects[index] !== object);
+  layoutObjects = nextLayoutObjects;
+
+  setFilterCount(matched.length, objects.length);
+  return changed;
+}
+
+/**
+ * Animate objects into the current layout
+ * @param {number} duration - Animation duration in milliseconds (defaults to the transition setting)
+ */
+export function applyLayout(duration = getTransitionSettings().duration) {
+  if (!currentLayout || layoutObjects.length === 0) {
+    showLabels([]);
+    return;
+  }
+
+  try {
+    const result = getLayoutResult(currentLayout);
+    transform(layoutObjects, result.targets, duration, getTransitionSettings().easing);
+    requestRender(); // Reduced motion places tiles without tweens
+    showLabels(result.labels);
+    frameLayout(result, duration);
+  } catch (error) {
+    console.error(`Error applying layout ${currentLayout}:`, error);
+  }
+}
+
+/**
+ * Apply a settings change: layout parameter changes regenerate that layout and re-tween live
+ * @param {Object} change - { type: 'layout', layoutId } or { type: 'transition' }
+ */
+export function applySettingsChange(change) {
+  if (change.type !== 'layout') return;
+
+  layoutResults.delete(change.layoutId);
+  if (change.layoutId === currentLayout) {
+    applyLayout();
+  }
+}
+
+/**
+ * Frame the camera on the current layout when its shape changed
+ * (another layout, tile count or grouping) - re-sorting and parameter tweaks keep the user's view
+ * @param {Object} result - Current layout targets { targets, labels }
+ * @param {number} duration - Camera animation duration in milliseconds
+ */
+function frameLayout(result, duration) {
+  const groupBy = getLayout(currentLayout).groupable ? layoutOptions.groupBy : '';
+  const key = `${currentLayout}:${layoutObjects.length}:${groupBy}`;
+  if (key === framedLayoutKey) return;
+
+  framedLayoutKey = key;
+  clearFocus({ restoreView: false });
+  frameBounds(getLayoutBounds([...result.targets, ...result.labels]), duration);
+}
+
+/**
+ * Get the tiles placed by the layout, in the active sort order
+ * @returns {Array} Array of CSS3D objects
+ */
+export function getOrderedObjects() {
+  const order = getSortOrder(layoutObjects.map(object => object.userData), layoutOptions);
+  return order.map(index => layoutObjects[index]);
+}
+
+/**
+ * Get where the current layout places a tile - its resting place even while it is still tweening there
+ * @param {THREE.CSS3DObject} object - Tile
+ * @returns {THREE.Object3D|null} Target (position + rotation), or null when the layout doesn't place the tile
+ */
+export function getLayoutTarget(object) {
+  const index = layoutObjects.indexOf(object);
+  if (!currentLayout || index === -1) return null;
+  return getLayoutResult(currentLayout).targets[index] || null;
+}
+
+/**
+ * Drop cached targets after the objects or options changed; layouts recompute on next use
+ */
+function invalidateTargets() {
+  layoutResults = new Map();
+}
+
+/**
+ * Get (computing on first use) the targets for a layout
+ * @param {string} layoutId - Registered layout id
+ * @returns {Object} { targets, labels } - targets aligned with the placed objects
+ */
+function getLayoutResult(layoutId) {
+  if (!layoutResults.has(layoutId)) {
+    const items = layoutObjects.map(object => object.userData);
+    layoutResults.set(layoutId, computeLayoutTargets(layoutId, items, layoutOptions, getLayoutParams(layoutId)));
+  }
+  return layoutResults.get(layoutId);
+}
+
+/**
+ * Build one button per registered layout
+ */
+function renderLayoutButtons() {
+  if (!buttonsContainer) {
+    console.warn('Layout buttons container not found');
+    return;
+  }
+
+  buttonsContainer.innerHTML = '';
+  listLayouts().forEach((layout, index) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'layout-btn';
+    button.dataset.layout = layout.id;
+    button.textContent = layout.label;
+    if (index < SHORTCUT_LAYOUTS) {
+      button.title = `${layout.label} (${index + 1})`;
+      button.setAttribute('aria-keyshortcuts', String(index + 1));
     }
-    
-    // Add click handler
     button.addEventListener('click', () => switchLayout(layout.id));
+    buttonsContainer.appendChild(button);
   });
+
+  updateActiveButton(currentLayout);
 }
 
 /**
  * Switch to a different layout
  * @param {string} layoutId - Layout identifier
  */
-function switchLayout(layoutId) {
+export function switchLayout(layoutId) {
   if (currentLayout === layoutId) {
     return; // Already on this layout
   }
 
-  if (!layoutTargets || !layoutTargets[layoutId]) {
+  if (!getLayout(layoutId)) {
     console.error(`Layout not found: ${layoutId}`);
     return;
   }
 
-  if (!objects || objects.length === 0) {
+  if (!layoutObjects || layoutObjects.length === 0) {
     console.warn('No objects to transform');
     return;
   }
@@ -74,12 +271,141 @@ function switchLayout(layoutId) {
   updateActiveButton(layoutId);
 
   // Transform to new layout
-  try {
-    transform(objects, layoutTargets[layoutId], TRANSITION_DURATION);
-    currentLayout = layoutId;
-  } catch (error) {
-    console.error(`Error switching to layout ${layoutId}:`, error);
+  currentLayout = layoutId;
+  renderSettingsPanel(layoutId);
+  applyLayout();
+  notifyViewChange();
+}
+
+/**
+ * Get the view state owned by the UI (for permalinks)
+ * @returns {Object} { layout, sortBy, sortDirection, groupBy }
+ */
+export function getViewState() {
+  return { layout: currentLayout, ...layoutOptions };
+}
+
+/**
+ * Restore a view state (e.g. from a permalink) and animate into it
+ * Unknown layouts are ignored; missing options fall back to the defaults
+ * @param {Object} view - { layout, sortBy, sortDirection, groupBy }
+ * @param {number} duration - Animation duration in milliseconds (defaults to the transition setting)
+ */
+export function setViewState(view, duration) {
+  const groupSelect = document.getElementById('table-group');
+  const sortSelect = document.getElementById('sort-field');
+  const hasOption = (select, value) => !select || Array.from(select.options).some(option => option.value === value);
+
+  // Fields that do not exist in this dataset fall back to no grouping / sheet order
+  layoutOptions = {
+    groupBy: view.groupBy && hasOption(groupSelect, view.groupBy) ? view.groupBy : '',
+    sortBy: view.sortBy && hasOption(sortSelect, view.sortBy) ? view.sortBy : '',
+    sortDirection: view.sortDirection === 'desc' ? 'desc' : 'asc',
+  };
+
+  if (groupSelect) groupSelect.value = layoutOptions.groupBy;
+  if (sortSelect) sortSelect.value = layoutOptions.sortBy;
+  updateSortDirectionButton();
+
+  if (view.layout && getLayout(view.layout) && view.layout !== currentLayout) {
+    currentLayout = view.layout;
+    updateActiveButton(currentLayout);
+    renderSettingsPanel(currentLayout);
+  }
+
+  invalidateTargets();
+  applyLayout(duration);
+}
+
+/**
+ * Tell listeners (permalinks) that the user changed the view
+ */
+function notifyViewChange() {
+  window.dispatchEvent(new CustomEvent('viewStateChanged'));
+}
+
+/**
+ * Initialize (or refresh) the sort and table group selects
+ * The sort applies to every layout and is kept when switching layouts
+ * @param {Array<Object>} fields - Available fields (see listFields)
+ */
+export function initLayoutOptions(fields) {
+  const groupSelect = document.getElementById('table-group');
+  const sortSelect = document.getElementById('sort-field');
+  const directionButton = document.getElementById('sort-direction');
+  if (!groupSelect || !sortSelect || !directionButton) {
+    console.warn('Layout option controls not found');
+    return;
+  }
+
+  const isFirstInit = groupSelect.options.length === 0;
+
+  // Field parameters in the settings panel (chart axes, categories) offer the same fields
+  setFieldOptions(fields);
+
+  groupSelect.innerHTML = '';
+  groupSelect.add(new Option('None', ''));
+  getGroupOptions(fields).forEach(option => groupSelect.add(new Option(option.label, option.key)));
+  groupSelect.value = layoutOptions.groupBy;
+
+  sortSelect.innerHTML = '';
+  sortSelect.add(new Option('Sheet order', ''));
+  fields
+    .filter(field => field.key !== 'imageUrl')
+    .forEach(field => sortSelect.add(new Option(field.label, field.key)));
+  sortSelect.value = layoutOptions.sortBy;
+  updateSortDirectionButton();
+
+  if (!isFirstInit) {
+    return;
   }
+
+  groupSelect.addEventListener('change', () => {
+    layoutOptions = { ...layoutOptions, groupBy: groupSelect.value };
+    invalidateTargets();
+
+    // Switch to a layout that shows groups (the table) so the new grouping is visible
+    const groupable = listLayouts().find(layout => layout.groupable);
+    if (groupable && !getLayout(currentLayout).groupable) {
+      updateActiveButton(groupable.id);
+      currentLayout = groupable.id;
+      renderSettingsPanel(groupable.id);
+    }
+    applyLayout();
+    notifyViewChange();
+  });
+
+  sortSelect.addEventListener('change', () => {
+    layoutOptions = { ...layoutOptions, sortBy: sortSelect.value };
+    updateSortDirectionButton();
+    invalidateTargets();
+    applyLayout();
+    notifyViewChange();
+  });
+
+  directionButton.addEventListener('click', () => {
+    layoutOptions = {
+      ...layoutOptions,
+      sortDirection: layoutOptions.sortDirection === 'asc' ? 'desc' : 'asc',
+    };
+    updateSortDirectionButton();
+    invalidateTargets();
+    applyLayout();
+    notifyViewChange();
+  });
+}
+
+/**
+ * Reflect the sort direction on its toggle button (disabled for sheet order)
+ */
+function updateSortDirectionButton() {
+  const directionButton = document.getElementById('sort-direction');
+  if (!directionButton) return;
+
+  const ascending = layoutOptions.sortDirection === 'asc';
+  directionButton.textContent = ascending ? '↑' : '↓';
+  directionButton.setAttribute('aria-label', ascending ? 'Sort ascending' : 'Sort descending');
+  directionButton.disabled = !layoutOptions.sortBy;
 }
 
 /**
@@ -87,15 +413,78 @@ function switchLayout(layoutId) {
  * @param {string} layoutId - Active layout identifier
  */
 function updateActiveButton(layoutId) {
-  // Remove active class from all buttons
-  Object.values(buttons).forEach(btn => {
-    if (btn) btn.classList.remove('active');
+  if (!buttonsContainer) return;
+
+  buttonsContainer.querySelectorAll('.layout-btn').forEach(button => {
+    button.classList.toggle('active', button.dataset.layout === layoutId);
+    button.setAttribute('aria-pressed', String(button.dataset.layout === layoutId));
   });
+}
+
+
+/**
+ * Initialize (or refresh) the color field/scale selects
+ * @param {Array<Object>} fields - Available fields (see listFields)
+ * @param {Object} encoding - Active encoding { field, type, bins }
+ * @param {Function} onChange - Called with the new encoding when the user changes it
+ */
+export function initColorControls(fields, encoding, onChange) {
+  const fieldSelect = document.getElementById('color-field');
+  const scaleSelect = document.getElementById('color-scale');
+  if (!fieldSelect || !scaleSelect) {
+    console.warn('Color controls not found');
+    return;
+  }
+
+  const isFirstInit = !onColorChange;
+  colorFields = fields;
+  colorEncoding = encoding;
+  onColorChange = onChange;
+
+  fieldSelect.innerHTML = '';
+  colorFields.forEach(field => fieldSelect.add(new Option(field.label, field.key)));
+  fieldSelect.value = colorEncoding.field;
+  populateScaleSelect();
 
-  // Add active class to current button
-  const activeButton = buttons[layoutId];
-  if (activeButton) {
-    activeButton.classList.add('active');
+  if (!isFirstInit) {
+    return;
   }
+
+  fieldSelect.addEventListener('change', () => {
+    const field = colorFields.find(f => f.key === fieldSelect.value);
+    const types = getScaleTypesForField(field);
+    const type = types.includes(colorEncoding.type) ? colorEncoding.type : getDefaultScaleType(field, types);
+    colorEncoding = { ...colorEncoding, field: field.key, type };
+    populateScaleSelect();
+    onColorChange(colorEncoding);
+  });
+
+  scaleSelect.addEventListener('change', () => {
+    colorEncoding = { ...colorEncoding, type: scaleSelect.value };
+    onColorChange(colorEncoding);
+  });
 }
 
+/**
+ * Fill the scale select with the scale types valid for the active field
+ */
+function populateScaleSelect() {
+  const scaleSelect = document.getElementById('color-scale');
+  const field = colorFields.find(f => f.key === colorEncoding.field);
+  if (!scaleSelect || !field) return;
+
+  scaleSelect.innerHTML = '';
+  getScaleTypesForField(field).forEach(type => scaleSelect.add(new Option(SCALE_TYPES[type].label, type)));
+  scaleSelect.value = colorEncoding.type;
+}
+
+/**
+ * Pick the scale type to use when switching to a field
+ * @param {Object} field - Field descriptor
+ * @param {Array<string>} types - Valid scale types for the field
+ * @returns {string} Scale type
+ */
+function getDefaultScaleType(field, types) {
+  if (types.includes('threshold')) return 'threshold';
+  return field.type === 'number' ? 'gradient' : 'categorical';
+}